@@ -0,0 +1,224 @@
+/**
+ * Accessibility enhancements, as required by the Norwegian universal design
+ * regulations:
+ *
+ *  - Announcements in an ARIA live region: the number of results when a
+ *    search has loaded (the `uioSearchLoaded` event, see logging.service.js),
+ *    and the page title when another page has loaded.
+ *  - Focus management: when a full record or a dialog is closed, focus is
+ *    returned to the element that had focus before it opened, like the
+ *    result the user clicked, instead of being lost at the top of the page.
+ *    Dialogs are found by watching the children of the body, where Angular
+ *    Material adds them. Full records are rendered deeper down, so
+ *    prmFullViewAfter calls `restoreFocus()` when a full record is closed.
+ *  - Reduced motion: if the user prefers reduced motion, Angular animations
+ *    are disabled. Transitions are disabled in accessibility.scss.
+ *
+ * Skip links are provided by the uioSkipLinks component.
+ */
+
+import { localize, format } from './i18n';
+
+// Dialogs, added to the body by Angular Material
+const DIALOG_SELECTOR = '.md-dialog-container, md-dialog, [role="dialog"]';
+
+// Dialogs, and full records shown as an overlay on the result list. Focus
+// inside them is not remembered.
+const OVERLAY_SELECTOR = `${DIALOG_SELECTOR}, prm-full-view-service-container, .full-view-container`;
+
+// Where to put focus if the element that had focus is gone
+const FALLBACK_FOCUS_SELECTOR = '#searchBar';
+
+// Milliseconds to wait before announcing, so the live region is read after
+// the page has settled and the same text can be announced twice
+const ANNOUNCE_DELAY = 500;
+
+const strings = {
+    no_NO: {
+        results: '{total} treff. Viser {first} til {last}, side {page}.',
+        noResults: 'Ingen treff.',
+        pageLoaded: 'Siden {title} er lastet.',
+    },
+    nn_NO: {
+        results: '{total} treff. Viser {first} til {last}, side {page}.',
+        noResults: 'Ingen treff.',
+        pageLoaded: 'Sida {title} er lasta.',
+    },
+    en_US: {
+        results: '{total} results. Showing {first} to {last}, page {page}.',
+        noResults: 'No results.',
+        pageLoaded: 'The page {title} has loaded.',
+    },
+    se_NO: {
+        results: '{total} bohtosa. Čájeha {first}–{last}, siidu {page}.',
+        noResults: 'Eai bohtosat.',
+        pageLoaded: 'Siidu {title} lea viežžojuvvon.',
+    },
+};
+
+class AccessibilityService {
+
+    constructor($rootScope, $window, $timeout, $animate, $state, uioConfig, loggingService) {
+        this.$window = $window;
+        this.$timeout = $timeout;
+        this.$animate = $animate;
+        this.$state = $state;
+        this.config = uioConfig.accessibility;
+        this.loggingService = loggingService;
+
+        this.document = $window.document;
+        this.liveRegion = null;
+
+        // The last element focused outside of a dialog or full record
+        this.lastFocus = null;
+
+        if (this.config.announce) {
+            $rootScope.$on('uioSearchLoaded', (event, search) => this.announceSearch(search));
+            $rootScope.$on('$stateChangeSuccess', (event, toState) => {
+                // Searches are announced when the results have loaded
+                if (toState.name != 'exploreMain.search') {
+                    this.announcePage();
+                }
+            });
+        }
+
+        if (this.config.restoreFocus) {
+            this.document.addEventListener('focusin', (evt) => {
+                if (evt.target !== this.document.body && !this.isInOverlay(evt.target)) {
+                    this.lastFocus = evt.target;
+                }
+            }, true);
+            this.observeDialogs();
+        }
+
+        if (this.config.reducedMotion) {
+            this.watchReducedMotion();
+        }
+    }
+
+    /****************************************************************************
+     * Internal methods
+     ****************************************************************************/
+
+    getStrings() {
+        let lang = this.$state.params.lang || this.loggingService.getUserLanguage();
+        return localize(strings, lang);
+    }
+
+    /**
+     * The live region is added to the body, outside of Primo's views, so it
+     * stays in place during page changes.
+     */
+    getLiveRegion() {
+        if (!this.liveRegion) {
+            this.liveRegion = this.document.createElement('div');
+            this.liveRegion.className = 'uio-live-region';
+            this.liveRegion.setAttribute('role', 'status');
+            this.liveRegion.setAttribute('aria-live', 'polite');
+            this.liveRegion.setAttribute('aria-atomic', 'true');
+            this.document.body.appendChild(this.liveRegion);
+        }
+        return this.liveRegion;
+    }
+
+    announceSearch(search) {
+        let str = this.getStrings();
+        if (!search.total) {
+            this.announce(str.noResults);
+            return;
+        }
+        this.announce(format(str.results, {
+            total: search.total.toLocaleString(),
+            first: search.first,
+            last: search.last,
+            page: search.page_no,
+        }));
+    }
+
+    announcePage() {
+        // Wait for Primo to set the title of the new page
+        this.$timeout(() => {
+            this.announce(format(this.getStrings().pageLoaded, {title: this.document.title}));
+        }, ANNOUNCE_DELAY, false);
+    }
+
+    isInOverlay(el) {
+        return !!(el.closest && el.closest(OVERLAY_SELECTOR));
+    }
+
+    /**
+     * Angular Material adds dialogs to the end of the body. Restore focus
+     * when one is removed.
+     */
+    observeDialogs() {
+        if (!this.$window.MutationObserver) {
+            return;
+        }
+        let observer = new this.$window.MutationObserver(mutations => {
+            let closed = mutations.some(mutation => [].slice.call(mutation.removedNodes).some(
+                node => node.nodeType == 1 && node.matches && node.matches(DIALOG_SELECTOR)
+            ));
+            if (closed) {
+                this.restoreFocus();
+            }
+        });
+        observer.observe(this.document.body, {childList: true});
+    }
+
+    watchReducedMotion() {
+        if (!this.$window.matchMedia) {
+            return;
+        }
+        let query = this.$window.matchMedia('(prefers-reduced-motion: reduce)');
+        let update = () => this.$animate.enabled(!query.matches);
+        update();
+        if (query.addEventListener) {
+            query.addEventListener('change', update);
+        } else if (query.addListener) {
+            query.addListener(update);
+        }
+    }
+
+    /****************************************************************************
+     * Public interface
+     ****************************************************************************/
+
+    /**
+     * Read a message to screen reader users.
+     */
+    announce(text) {
+        let region = this.getLiveRegion();
+        region.textContent = '';
+        this.$timeout.cancel(this.announceTimer);
+        this.announceTimer = this.$timeout(() => {
+            region.textContent = text;
+        }, ANNOUNCE_DELAY, false);
+    }
+
+    /**
+     * Move focus back to where it was before a full record or a dialog was
+     * opened, unless the user (or Primo) has already put it somewhere.
+     * Called by prmFullViewAfter when the full record is closed.
+     */
+    restoreFocus() {
+        if (!this.config.restoreFocus) {
+            return;
+        }
+        this.$timeout(() => {
+            let active = this.document.activeElement;
+            if (active && active !== this.document.body && this.document.body.contains(active)) {
+                return;
+            }
+            let target = this.lastFocus && this.document.body.contains(this.lastFocus)
+                ? this.lastFocus
+                : this.document.querySelector(FALLBACK_FOCUS_SELECTOR);
+            if (target) {
+                target.focus();
+            }
+        }, 0, false);
+    }
+}
+
+AccessibilityService.$inject = ['$rootScope', '$window', '$timeout', '$animate', '$state', 'uioConfig', 'loggingService'];
+
+export default AccessibilityService;
@@ -0,0 +1,309 @@
+/**
+ * Configuration for the UiO package.
+ *
+ * The configuration is built from, in order of precedence:
+ *
+ *   1. URL parameters prefixed with `uio.`, e.g. `&uio.slurp.debug=true`.
+ *      Only the keys in `URL_OVERRIDES` below can be set this way, so that
+ *      a link can't point the package to other servers.
+ *   2. `window.appConfig.uioConfig`, if defined
+ *   3. Overrides set in a config block using `uioConfigProvider.set()`
+ *   4. Per-view overrides (see `views` below), using the `vid` URL parameter
+ *   5. Defaults (see `defaults` below)
+ *
+ * Example config block:
+ *
+ *     app.config(['uioConfigProvider', (uioConfigProvider) => {
+ *         uioConfigProvider.set({slurp: {debug: true}});
+ *     }]);
+ *
+ * Components and services get the resulting object by injecting `uioConfig`.
+ */
+
+import cloneDeep from 'lodash/cloneDeep';
+import get from 'lodash/get';
+import merge from 'lodash/merge';
+import set from 'lodash/set';
+
+const defaults = {
+
+    // View name used if the `vid` URL parameter is missing
+    viewName: 'UIO',
+
+    slurp: {
+        // Slurp server url
+        url: 'https://ub-www01.uio.no/slurp/',
+
+        // Session timeout in seconds
+        sessionTimeout: 30 * 60,
+
+        // Log to console
+        debug: false,
+
+        // Also send all events to a ConsoleSink (see sinks.js)
+        console: false,
+
+        // Also keep all events in a MemorySink (see sinks.js), for testing
+        capture: false,
+    },
+
+    errors: {
+        // Max number of error reports per minute
+        maxPerMinute: 10,
+
+        // Max number of error reports per page load
+        maxPerPage: 50,
+
+        // Seconds before the same error is reported again
+        dedupeInterval: 5 * 60,
+    },
+
+    privacy: {
+        // Don't track if the browser sends Do Not Track or Global Privacy Control
+        honourDoNotTrack: true,
+
+        // Number of events from the session shown in the privacy settings
+        recentEvents: 20,
+
+        policyUrl: 'https://www.ub.uio.no/om/personvernerkleringer/',
+    },
+
+    // PNX facet fields for the subject vocabularies, for reading `pnx.facets`
+    facets: {
+        ddc: 'lfc10',
+        humord: 'lfc14',
+        realfagstermer: 'lfc20',
+    },
+
+    // Names of the same facets in Primo's search URL (`facet=local14,include,...`)
+    // and in the facet sidebar
+    searchFacets: {
+        ddc: 'local10',
+        humord: 'local14',
+        realfagstermer: 'local20',
+    },
+
+    subjects: {
+        // Max number of related subjects from the search results to show
+        related: 8,
+
+        // Min number of results a related subject must occur in
+        relatedMinCount: 2,
+    },
+
+    noResults: {
+        // Scopes offered on the "no results" page
+        scopes: {
+            everything: {tab: 'everything', search_scope: 'everything', pcAvailability: 'true'},
+            bibsys: {tab: 'bibsys_consortia', search_scope: 'bibsys_ils'},
+        },
+
+        // External searches. {query} is replaced by the search terms.
+        external: [
+            {id: 'scholar', label: 'Google Scholar', url: 'https://scholar.google.com/scholar?q={query}'},
+            {id: 'worldcat', label: 'WorldCat', url: 'https://www.worldcat.org/search?q={query}'},
+        ],
+
+        helpUrl: 'https://nettskjema.uio.no/answer/88802.html',
+    },
+
+    searchBar: {
+        // Give the search field focus on load
+        autofocus: true,
+
+        // Placeholder text and description for each search scope or tab,
+        // see prmSearchBarAfter. The scope is checked first.
+        hints: {
+            everything: 'everything',
+            bibsys_ils: 'bibsys',
+            bibsys_consortia: 'bibsys',
+            local_scope: 'local',
+            local_uio: 'local',
+        },
+    },
+
+    // Search-as-you-type suggestions, see suggestions.service.js
+    suggestions: {
+        enabled: true,
+
+        // Min number of characters typed before suggesting
+        minLength: 2,
+
+        // Max number of suggestions in total, and from each source
+        max: 10,
+        maxRecent: 3,
+        maxSubjects: 5,
+        maxEndpoint: 5,
+
+        // Subject vocabularies to suggest terms from, using the Skosmos API
+        vocabularies: ['realfagstermer', 'humord'],
+        subjectsUrl: 'https://data.ub.uio.no/skosmos/rest/v1/{vocab}/search?query={query}*&lang={lang}&maxhits=5',
+
+        // Additional suggestion endpoint, with {query} and {lang} placeholders
+        url: null,
+
+        // Milliseconds to wait for each source
+        timeout: 3000,
+    },
+
+    // Kiosk mode for public terminals, see kiosk.service.js
+    kiosk: {
+        enabled: false,
+
+        // Seconds without activity before the countdown starts
+        inactivityTimeout: 3 * 60,
+
+        // Seconds of countdown before the session is reset
+        countdown: 30,
+
+        // Front page to return to, with {vid} placeholder. Default: the search page of the view
+        homeUrl: null,
+
+        // Max seconds to wait for Primo to sign out the user before returning to the front page
+        signOutTimeout: 5,
+    },
+
+    // Search history, stored locally in the browser, see searchHistory.service.js
+    history: {
+        enabled: true,
+
+        // Max number of entries, not counting pinned entries
+        maxEntries: 50,
+    },
+
+    // Accessibility enhancements, see accessibility.service.js
+    accessibility: {
+        // Skip links to the results, facets and search field (uioSkipLinks)
+        skipLinks: true,
+
+        // Announce search results and page loads in an ARIA live region
+        announce: true,
+
+        // Return focus to where it was when a full record or dialog is closed
+        restoreFocus: true,
+
+        // Disable animations if the user prefers reduced motion
+        reducedMotion: true,
+    },
+
+    // Opening hours and service notices on the front page, see openingHours.service.js
+    openingHours: {
+        enabled: true,
+
+        // JSON feed. If null, or if the feed fails, nothing is shown
+        url: null,
+
+        // Show the bundled openingHours.fallback.json instead of nothing. The
+        // opening hours there are made up, so this is for testing and offline
+        // use only, and they are labelled as sample data.
+        fallback: false,
+
+        // Ids of the libraries to show. Default: all libraries in the feed
+        libraries: null,
+
+        // Milliseconds to wait for the feed
+        timeout: 3000,
+    },
+};
+
+// Keys that can be overridden using URL parameters. No URLs!
+const URL_OVERRIDES = [
+    'slurp.debug',
+    'slurp.console',
+    'slurp.capture',
+    'kiosk.enabled',
+];
+
+const views = {
+    UIO: {},
+    UIO_TEST: {
+        slurp: {
+            debug: true,
+        },
+        openingHours: {
+            fallback: true,
+        },
+    },
+};
+
+/**
+ * Parse a URL parameter value: booleans and numbers are converted,
+ * everything else is kept as a string.
+ */
+function parseValue(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value !== '' && !isNaN(value)) return Number(value);
+    return value;
+}
+
+/**
+ * Parse a query string into a list of [key, value] pairs. Pairs that can't be
+ * decoded (like `query=50%off`) are skipped.
+ */
+function parseQueryString(qs) {
+    let pairs = [];
+    qs.replace(/^\?/, '').split('&')
+        .filter(part => part.length)
+        .forEach(part => {
+            let idx = part.indexOf('=');
+            let key = idx == -1 ? part : part.substr(0, idx);
+            let value = idx == -1 ? '' : part.substr(idx + 1);
+            try {
+                pairs.push([key, value].map(x => decodeURIComponent(x.replace(/\+/g, ' '))));
+            } catch (e) {
+                // URIError from a malformed escape, skip the pair
+            }
+        });
+    return pairs;
+}
+
+class ConfigProvider {
+
+    constructor() {
+        this.defaults = defaults;
+        this.views = views;
+        this.overrides = {};
+
+        this.$get = ['$window', ($window) => this.build($window)];
+    }
+
+    /**
+     * Override configuration values for all views.
+     */
+    set(values) {
+        merge(this.overrides, values);
+    }
+
+    /**
+     * Override configuration values for a single view.
+     */
+    setView(viewName, values) {
+        this.views[viewName] = merge(this.views[viewName] || {}, values);
+    }
+
+    build($window) {
+        let params = parseQueryString(get($window, 'location.search', ''));
+
+        let urlOverrides = {};
+        let viewName = this.defaults.viewName;
+        params.forEach(([key, value]) => {
+            if (key == 'vid') {
+                viewName = value;
+            } else if (key.indexOf('uio.') === 0 && URL_OVERRIDES.indexOf(key.substr(4)) != -1) {
+                set(urlOverrides, key.substr(4), parseValue(value));
+            }
+        });
+
+        return merge(
+            cloneDeep(this.defaults),
+            cloneDeep(this.views[viewName] || {}),
+            cloneDeep(this.overrides),
+            cloneDeep(get($window, 'appConfig.uioConfig', {})),
+            urlOverrides,
+            {viewName: viewName}
+        );
+    }
+}
+
+export default ConfigProvider;
@@ -0,0 +1,90 @@
+/**
+ * Privacy consent for the Slurp logging service.
+ *
+ * Tracking is disabled if the user has opted out (stored in localStorage, so
+ * the choice is remembered across sessions), or if the browser sends a
+ * Do Not Track or Global Privacy Control signal.
+ */
+
+const STORAGE_KEY = 'slurpConsent';
+
+class ConsentService {
+
+    constructor($window, uioConfig) {
+        this.$window = $window;
+        this.config = uioConfig.privacy;
+
+        // Set to true to open the privacy settings panel
+        this.settingsOpen = false;
+
+        this.state = this.read();
+    }
+
+    read() {
+        try {
+            return JSON.parse(this.$window.localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    write() {
+        try {
+            this.$window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+        } catch (e) {
+            // Storage not available, the choice is only kept for this page
+        }
+    }
+
+    /**
+     * Does the browser ask us not to track the user? Checks both the
+     * Do Not Track header (and its older vendor variants) and Global
+     * Privacy Control.
+     */
+    isDoNotTrack() {
+        let nav = this.$window.navigator;
+        let dnt = nav.doNotTrack || this.$window.doNotTrack || nav.msDoNotTrack;
+        return dnt == '1' || dnt == 'yes' || nav.globalPrivacyControl === true;
+    }
+
+    isOptedOut() {
+        return !!this.state.optOut;
+    }
+
+    isTrackingAllowed() {
+        if (this.isOptedOut()) {
+            return false;
+        }
+        return !(this.config.honourDoNotTrack && this.isDoNotTrack());
+    }
+
+    setOptOut(optOut) {
+        this.state.optOut = !!optOut;
+        this.state.time = Math.round(Date.now() / 1000);
+        this.write();
+    }
+
+    /**
+     * The banner is shown until dismissed, and only if we're actually tracking.
+     */
+    shouldShowBanner() {
+        return !this.state.bannerDismissed && this.isTrackingAllowed();
+    }
+
+    dismissBanner() {
+        this.state.bannerDismissed = true;
+        this.write();
+    }
+
+    openSettings() {
+        this.settingsOpen = true;
+    }
+
+    closeSettings() {
+        this.settingsOpen = false;
+    }
+}
+
+ConsentService.$inject = ['$window', 'uioConfig'];
+
+export default ConsentService;
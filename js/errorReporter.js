@@ -0,0 +1,144 @@
+/**
+ * Error reporting for the Slurp logging service.
+ *
+ * Collects errors from several sources:
+ *
+ *  - `tracked`: our own errors, reported using `loggingService.trackError()`
+ *  - `angular`: exceptions caught by Angular's `$exceptionHandler`
+ *  - `window`: uncaught errors (`window.onerror`)
+ *  - `promise`: unhandled promise rejections
+ *  - `state`: `$stateChangeError` events from the Primo router
+ *  - `http`: failed calls to the Primo REST API, see primoApi.interceptor.js
+ *
+ * and sends them as `error` events. Since a broken hook can easily throw the
+ * same error on every digest cycle, errors are deduplicated and rate limited.
+ */
+
+import get from 'lodash/get';
+
+// Max number of stack lines to include
+const STACK_LINES = 10;
+
+class ErrorReporter {
+
+    /**
+     * @param $window
+     * @param options     The `errors` section of the configuration
+     * @param send        Function that sends an error event: send(data)
+     * @param getContext  Function returning context data (Primo version, view, state)
+     */
+    constructor($window, options, send, getContext) {
+        this.$window = $window;
+        this.options = options;
+        this.send = send;
+        this.getContext = getContext;
+
+        // Last report time and number of suppressed reports, by error key
+        this.seen = {};
+
+        // Timestamps of reports sent during the last minute
+        this.recent = [];
+
+        // Total number of reports sent from this page
+        this.total = 0;
+
+        $window.addEventListener('error', (evt) => {
+            // Errors from cross-origin scripts only give us "Script error.", ignore those.
+            if (!evt.error && evt.message == 'Script error.') {
+                return;
+            }
+            this.report(evt.error || evt.message, 'window', {
+                file: evt.filename,
+                line: evt.lineno,
+                col: evt.colno,
+            });
+        });
+
+        $window.addEventListener('unhandledrejection', (evt) => {
+            this.report(evt.reason, 'promise');
+        });
+    }
+
+    normalize(error) {
+        if (error instanceof Error) {
+            return {
+                name: error.name,
+                message: error.message,
+                stack: (error.stack || '').split('\n').slice(0, STACK_LINES).join('\n'),
+            };
+        }
+        if (typeof error == 'string') {
+            return {name: null, message: error, stack: null};
+        }
+        return {
+            name: get(error, 'name', null),
+            message: get(error, 'message', String(error)),
+            stack: null,
+        };
+    }
+
+    /**
+     * Rate limit: max `maxPerMinute` reports per minute and `maxPerPage` in total.
+     */
+    isRateLimited(now) {
+        this.recent = this.recent.filter(t => now - t < 60000);
+        return this.recent.length >= this.options.maxPerMinute || this.total >= this.options.maxPerPage;
+    }
+
+    report(error, source, extra) {
+        let err = this.normalize(error);
+        let key = `${source}:${err.name}:${err.message}`;
+        let now = Date.now();
+        let seen = this.seen[key];
+
+        // Deduplicate: Report the same error at most once per `dedupeInterval` seconds,
+        // but count the number of suppressed reports.
+        if (seen && now - seen.time < this.options.dedupeInterval * 1000) {
+            seen.suppressed++;
+            return;
+        }
+
+        if (this.isRateLimited(now)) {
+            return;
+        }
+
+        let data = {
+            source: source,
+            name: err.name,
+            message: err.message,
+            stack: err.stack,
+            suppressed: seen ? seen.suppressed : 0,
+            extra: extra || null,
+            url: this.$window.location.pathname + this.$window.location.search,
+            context: this.getContext(),
+        };
+
+        this.seen[key] = {time: now, suppressed: 0};
+        this.recent.push(now);
+        this.total++;
+
+        this.send(data);
+    }
+}
+
+/**
+ * Decorator for Angular's `$exceptionHandler` that passes exceptions on to
+ * the logging service in addition to the default handler.
+ *
+ * The logging service is looked up lazily, since `$rootScope` (which the
+ * logging service depends on) itself depends on `$exceptionHandler`.
+ */
+function exceptionHandlerDecorator($delegate, $injector) {
+    return (exception, cause) => {
+        $delegate(exception, cause);
+        try {
+            $injector.get('loggingService').trackException(exception, 'angular', {cause: cause || null});
+        } catch (e) {
+            // Never let error reporting cause more errors
+        }
+    };
+}
+
+exceptionHandlerDecorator.$inject = ['$delegate', '$injector'];
+
+export { ErrorReporter, exceptionHandlerDecorator };
@@ -0,0 +1,229 @@
+/**
+ * Persistent outbound queue for logging events.
+ *
+ * Events are stored in the browser's sessionStorage until the server has
+ * acknowledged them, so they survive page reloads, logins and short server
+ * outages. Events are sent in batches, failed batches are retried with
+ * exponential backoff, and whatever is left when the page is hidden or
+ * unloaded is handed over to `navigator.sendBeacon`.
+ *
+ * By default, batches are posted as a JSON array in a plain text body, both
+ * for XHR and beacons, so the requests remain "simple" in CORS terms and the
+ * browser doesn't need to do a preflight request.
+ */
+
+class EventQueue {
+
+    constructor($window, url, options) {
+        this.$window = $window;
+        this.url = url;
+
+        options = options || {};
+
+        // sessionStorage key
+        this.storageKey = options.storageKey || 'slurpQueue';
+
+        // Max number of events kept in the queue. When full, the oldest events are dropped.
+        this.maxSize = options.maxSize || 200;
+
+        // Max number of events per request
+        this.batchSize = options.batchSize || 20;
+
+        // Milliseconds to wait for more events before sending a batch
+        this.flushDelay = options.flushDelay !== undefined ? options.flushDelay : 1000;
+
+        // Backoff for failed requests: retryDelay * 2^(attempts - 1), capped at maxRetryDelay
+        this.retryDelay = options.retryDelay || 2000;
+        this.maxRetryDelay = options.maxRetryDelay || 5 * 60 * 1000;
+
+        // Request timeout in milliseconds
+        this.requestTimeout = options.requestTimeout || 10000;
+
+        // Function that turns a list of payloads into a request body
+        this.serialize = options.serialize || (payloads => JSON.stringify(payloads));
+
+        this.attempts = 0;
+        this.timer = null;
+        this.inFlight = [];
+        this.seq = 0;
+
+        // In-memory fallback if sessionStorage is not available (private mode etc.)
+        this.memory = [];
+
+        // Set when writing to sessionStorage fails. From then on, the
+        // in-memory copy is the only up-to-date one.
+        this.storageFailed = false;
+
+        let flushOnHide = () => this.flushBeacon();
+        $window.addEventListener('pagehide', flushOnHide);
+        $window.document.addEventListener('visibilitychange', () => {
+            if ($window.document.visibilityState == 'hidden') {
+                flushOnHide();
+            }
+        });
+
+        // Send whatever was left over from the previous page load
+        if (this.read().length) {
+            this.schedule(0);
+        }
+    }
+
+    /****************************************************************************
+     * Storage
+     ****************************************************************************/
+
+    read() {
+        if (this.storageFailed) {
+            return this.memory;
+        }
+        try {
+            return JSON.parse(this.$window.sessionStorage.getItem(this.storageKey)) || [];
+        } catch (e) {
+            return this.memory;
+        }
+    }
+
+    write(items) {
+        this.memory = items;
+        try {
+            this.$window.sessionStorage.setItem(this.storageKey, JSON.stringify(items));
+        } catch (e) {
+            // Storage full or unavailable, keep the in-memory copy only
+            this.storageFailed = true;
+        }
+    }
+
+    remove(ids) {
+        this.write(this.read().filter(item => ids.indexOf(item.id) == -1));
+    }
+
+    /****************************************************************************
+     * Sending
+     ****************************************************************************/
+
+    schedule(delay) {
+        if (this.timer) {
+            return;
+        }
+        this.timer = this.$window.setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, delay);
+    }
+
+    nextBatch() {
+        return this.read()
+            .filter(item => this.inFlight.indexOf(item.id) == -1)
+            .slice(0, this.batchSize);
+    }
+
+    flush() {
+        if (this.inFlight.length) {
+            // Wait for the current request to complete
+            return;
+        }
+
+        let batch = this.nextBatch();
+        if (!batch.length) {
+            return;
+        }
+        let ids = batch.map(item => item.id);
+        this.inFlight = ids;
+
+        // Don't use $http since we don't want the Primo default headers etc.
+        // By creating a simple request instead, we avoid the browser having
+        // to do an extra CORS preflight request.
+        let req = new this.$window.XMLHttpRequest();
+        req.open('POST', this.url);
+        req.timeout = this.requestTimeout;
+
+        let done = (success) => {
+            this.inFlight = [];
+            if (success) {
+                this.attempts = 0;
+                this.remove(ids);
+                if (this.read().length) {
+                    this.schedule(0);
+                }
+            } else {
+                this.attempts++;
+                let delay = Math.min(
+                    this.retryDelay * Math.pow(2, this.attempts - 1),
+                    this.maxRetryDelay
+                );
+                this.schedule(delay);
+            }
+        };
+
+        req.onload = () => done(req.status >= 200 && req.status < 300);
+        req.onerror = () => done(false);
+        req.ontimeout = () => done(false);
+
+        req.send(this.serialize(batch.map(item => item.payload)));
+    }
+
+    /**
+     * Hand over all queued events to the browser using sendBeacon. Called when
+     * the page is hidden or unloaded, since we might not get another chance.
+     * Events in the request in flight are left to it: if it fails, they're
+     * still stored and sent on the next page load.
+     */
+    flushBeacon() {
+        let nav = this.$window.navigator;
+        if (!nav.sendBeacon) {
+            return;
+        }
+
+        let items = this.read().filter(item => this.inFlight.indexOf(item.id) == -1);
+        let sent = [];
+        for (let i = 0; i < items.length; i += this.batchSize) {
+            let batch = items.slice(i, i + this.batchSize);
+
+            // Sending a string makes the beacon a text/plain simple request.
+            if (!nav.sendBeacon(this.url, this.serialize(batch.map(item => item.payload)))) {
+                // The browser refused (payload quota exceeded), keep the rest.
+                break;
+            }
+            sent = sent.concat(batch.map(item => item.id));
+        }
+
+        if (sent.length) {
+            this.remove(sent);
+        }
+    }
+
+    /****************************************************************************
+     * Public interface
+     ****************************************************************************/
+
+    push(payload) {
+        let items = this.read();
+        items.push({
+            id: `${Date.now()}-${this.seq++}`,
+            payload: payload,
+        });
+        if (items.length > this.maxSize) {
+            items = items.slice(items.length - this.maxSize);
+        }
+        this.write(items);
+
+        if (items.length >= this.batchSize) {
+            this.schedule(0);
+        } else {
+            this.schedule(this.flushDelay);
+        }
+    }
+
+    size() {
+        return this.read().length;
+    }
+
+    /**
+     * Drop all queued events.
+     */
+    clear() {
+        this.write([]);
+    }
+}
+
+export default EventQueue;
@@ -0,0 +1,164 @@
+/**
+ * The front page: cards, search scope explanations and footer, rendered from
+ * a single content file (frontPage.content.js) in the current language.
+ *
+ * The component is inserted from prmSearchAfter when the search page has no
+ * query, and gets the prmSearch controller as `parentCtrl`, for the media
+ * queries used by the footer layout. The static html/home_xx_XX.html files are kept empty, since Primo
+ * would otherwise show the central package's front page.
+ */
+
+import content from './frontPage.content';
+import { translate } from './i18n';
+
+/**
+ * Split a text with a `{link}` placeholder into the text before and after
+ * the link.
+ */
+function buildText(item, lang) {
+    let text = translate(item.text, lang) || '';
+    let parts = text.split('{link}');
+    return {
+        before: parts[0],
+        after: parts.slice(1).join(''),
+        link: item.link ? buildLink(item.link, lang) : null,
+    };
+}
+
+function buildLink(link, lang) {
+    return {
+        href: translate(link.href, lang),
+        label: translate(link.label, lang),
+        action: link.action || null,
+    };
+}
+
+class UioFrontPageController {
+
+    constructor($state, loggingService, consentService) {
+        this.$state = $state;
+        this.loggingService = loggingService;
+        this.consentService = consentService;
+    }
+
+    $doCheck() {
+        // Language can change at any time
+        let lang = this.$state.params.lang || this.loggingService.getUserLanguage();
+        if (lang !== this.lang) {
+            this.lang = lang;
+            this.build(lang);
+        }
+    }
+
+    build(lang) {
+        let scopes = content.scopes.map(scope => ({
+            name: translate(scope.name, lang),
+            description: translate(scope.description, lang),
+            note: translate(scope.note, lang),
+        }));
+
+        let cards = content.cards.map(card => ({
+            title: translate(card.title, lang),
+            intro: translate(card.intro, lang),
+            scopes: card.scopes ? scopes : null,
+            paragraphs: (card.paragraphs || []).map(paragraph => buildText(paragraph, lang)),
+            column: card.column,
+        }));
+        this.mainCards = cards.filter(card => card.column == 'main');
+        this.sideCards = cards.filter(card => card.column == 'side');
+
+        this.footer = {
+            logo: {
+                href: content.footer.logo.href,
+                src: content.footer.logo.src,
+                title: translate(content.footer.logo.title, lang),
+            },
+            columns: content.footer.columns.map(column => ({
+                title: translate(column.title, lang),
+                mobile: !!column.mobile,
+                lines: column.lines.map(line => line.text ? buildText(line, lang) : {link: buildLink(line, lang)}),
+            })),
+        };
+    }
+
+    // Called from the footer
+    openPrivacySettings() {
+        this.consentService.openSettings();
+    }
+}
+
+UioFrontPageController.$inject = ['$state', 'loggingService', 'consentService'];
+
+/**
+ * Template for a text built by buildText(), available as `item` in the scope.
+ * Links to external pages open in a new window if `newWindow` is true.
+ */
+function textTemplate(item, newWindow) {
+    let target = newWindow ? ' target="_blank" class="md-primoExplore-theme"' : '';
+    return `{{ ${item}.before }}`
+        + `<a ng-if="${item}.link && !${item}.link.action" ng-href="{{ ${item}.link.href }}"${target}>{{ ${item}.link.label }}</a>`
+        + `<a ng-if="${item}.link.action == 'privacySettings'" href="" ng-click="$ctrl.openPrivacySettings()">{{ ${item}.link.label }}</a>`
+        + `{{ ${item}.after }}`;
+}
+
+export default {
+    bindings: {parentCtrl: '<'},
+    controller: UioFrontPageController,
+    template: `
+    <md-content layout-xs="column" layout="row" class="uio-front-page">
+        <div flex="60" flex-xs="100" layout="column">
+            <md-card class="default-card" ng-repeat="card in $ctrl.mainCards">
+                <md-card-title>
+                    <md-card-title-text>
+                        <span class="md-headline">{{ card.title }}</span>
+                    </md-card-title-text>
+                </md-card-title>
+                <md-card-content>
+                    <p ng-if="card.intro">{{ card.intro }}</p>
+                    <div ng-repeat="scope in card.scopes">
+                        <p><b>{{ scope.name }}</b></p>
+                        <p>{{ scope.description }}<span ng-if="scope.note">. {{ scope.note }}</span></p>
+                    </div>
+                    <p ng-repeat="paragraph in card.paragraphs">${textTemplate('paragraph', true)}</p>
+                </md-card-content>
+            </md-card>
+        </div>
+        <div flex="40" flex-xs="100" layout="column">
+            <md-card class="default-card" ng-repeat="card in $ctrl.sideCards">
+                <md-card-title>
+                    <md-card-title-text>
+                        <span class="md-headline">{{ card.title }}</span>
+                    </md-card-title-text>
+                </md-card-title>
+                <md-card-content>
+                    <p ng-if="card.intro">{{ card.intro }}</p>
+                    <p ng-repeat="paragraph in card.paragraphs">${textTemplate('paragraph', true)}</p>
+                </md-card-content>
+            </md-card>
+        </div>
+    </md-content>
+
+    <div class="uio-footer-spacing"></div>
+    <footer class="uio-footer visible">
+        <div layout="row" layout-align="center start" flex>
+            <div flex class="uio-footer-main">
+                <div class="uio-logo">
+                    <a ng-href="{{ $ctrl.footer.logo.href }}" title="{{ $ctrl.footer.logo.title }}"><img ng-src="{{ $ctrl.footer.logo.src }}" alt=""></a>
+                </div>
+
+                <div style="flex: 1 0 auto;"></div>
+
+                <div class="uio-footer-column" ng-repeat="column in $ctrl.footer.columns" ng-class="{'uio-mobile': column.mobile}">
+                    <div class="md-headline" ng-if="column.title">{{ column.title }}</div>
+                    <div>
+                        <div class="line" ng-repeat="line in column.lines">${textTemplate('line', false)}</div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Spacing to the right, following Primo's layout -->
+            <div flex="0" flex-md="10" flex-lg="25" ng-class="{'flex-lgPlus-30': $ctrl.parentCtrl.mediaQueries.lgPlus && !$ctrl.parentCtrl.facetToLeft, 'flex-lgPlus-25': $ctrl.parentCtrl.mediaQueries.lgPlus && $ctrl.parentCtrl.facetToLeft, 'flex-xl-30': $ctrl.parentCtrl.mediaQueries.xl && !$ctrl.parentCtrl.facetToLeft, 'flex-xl-25': $ctrl.parentCtrl.mediaQueries && $ctrl.parentCtrl.facetToLeft}"></div>
+        </div>
+    </footer>
+    `,
+};
@@ -0,0 +1,271 @@
+/**
+ * Content of the front page, rendered by the uioFrontPage component, and of
+ * the search scope hints in the search bar (prmSearchBarAfter).
+ *
+ * Every text is an object with one string per Primo language code. Missing
+ * languages fall back to bokmål (no_NO), see `translate()` in i18n.js.
+ *
+ * Texts can contain a `{link}` placeholder, which is replaced by the `link`
+ * of the same paragraph or line.
+ */
+
+export default {
+
+    // The search scopes, by the hint key used in the `searchBar.hints` config
+    scopes: [
+        {
+            key: 'everything',
+            name: {
+                no_NO: 'Alt',
+                nn_NO: 'Alt',
+                en_US: 'Everything',
+                se_NO: 'Buot',
+            },
+            description: {
+                no_NO: 'Bøker, tidsskrifter, artikler, bokkapitler m.m. ved UiO og andre norske fag- og forskningsbibliotek og fra en rekke databaser',
+                nn_NO: 'Bøker, tidsskrift, artiklar, bokkapittel m.m. ved UiO og andre norske fag- og forskingsbibliotek og frå ei rekke databasar',
+                en_US: 'Books, journals, articles, book chapters and more at UiO and other Norwegian research libraries and from numerous databases',
+                se_NO: 'Girjjit, áigečállagat, artihkkalat, girjekapihttalat jna. UiOs ja eará norgga dieđalaš girjerájuin ja máŋgga diehtovuođus',
+            },
+            placeholder: {
+                no_NO: 'Søk etter bøker, artikler og mer – også i databaser',
+                nn_NO: 'Søk etter bøker, artiklar og meir – også i databasar',
+                en_US: 'Search for books, articles and more – including databases',
+                se_NO: 'Oza girjjiid, artihkkaliid ja eará – maiddái diehtovuođuin',
+            },
+        },
+        {
+            key: 'bibsys',
+            name: {
+                no_NO: 'Bøker i norske fagbibliotek',
+                nn_NO: 'Bøker i norske fagbibliotek',
+                en_US: 'Books in Norwegian research libraries',
+                se_NO: 'Girjjit norgga dieđalaš girjerájuin',
+            },
+            description: {
+                no_NO: 'Bøker, tidsskrifter m.m. ved UiO og andre norske fag- og forskningsbibliotek',
+                nn_NO: 'Bøker, tidsskrift m.m. ved UiO og andre norske fag- og forskingsbibliotek',
+                en_US: 'Books, journals and more at UiO and other Norwegian research libraries',
+                se_NO: 'Girjjit, áigečállagat jna. UiOs ja eará norgga dieđalaš girjerájuin',
+            },
+            placeholder: {
+                no_NO: 'Søk etter bøker og tidsskrifter i norske fagbibliotek',
+                nn_NO: 'Søk etter bøker og tidsskrift i norske fagbibliotek',
+                en_US: 'Search for books and journals in Norwegian research libraries',
+                se_NO: 'Oza girjjiid ja áigečállagiid norgga dieđalaš girjerájuin',
+            },
+        },
+        {
+            key: 'local',
+            name: {
+                no_NO: 'Bøker ved UiO',
+                nn_NO: 'Bøker ved UiO',
+                en_US: 'Books at UiO',
+                se_NO: 'Girjjit UiOs',
+            },
+            description: {
+                no_NO: 'Bøker, tidsskrifter m.m. kun ved UiO',
+                nn_NO: 'Bøker, tidsskrift m.m. berre ved UiO',
+                en_US: 'Books, journals and more at UiO only',
+                se_NO: 'Girjjit, áigečállagat jna. dušše UiOs',
+            },
+            note: {
+                no_NO: 'Artikler finner du under «Alt».',
+                nn_NO: 'Artiklar finn du under «Alt».',
+                en_US: 'To find articles, choose "Everything".',
+                se_NO: 'Artihkkaliid gávnnat «Buot» vuolde.',
+            },
+            placeholder: {
+                no_NO: 'Søk etter bøker og tidsskrifter ved UiO',
+                nn_NO: 'Søk etter bøker og tidsskrift ved UiO',
+                en_US: 'Search for books and journals at UiO',
+                se_NO: 'Oza girjjiid ja áigečállagiid UiOs',
+            },
+        },
+    ],
+
+    // Cards in the main (left) column and the side (right) column. A card
+    // with `scopes: true` lists the search scopes above.
+    cards: [
+        {
+            column: 'main',
+            title: {
+                no_NO: 'Hva søker jeg i?',
+                nn_NO: 'Kva søkjer eg i?',
+                en_US: 'What am I searching?',
+                se_NO: 'Mas mun ozan?',
+            },
+            intro: {
+                no_NO: 'Velg mellom:',
+                nn_NO: 'Vel mellom:',
+                en_US: 'Choose among the following:',
+                se_NO: 'Vállje dáid gaskkas:',
+            },
+            scopes: true,
+        },
+        {
+            column: 'side',
+            title: {
+                no_NO: 'Tilgang hjemmefra',
+                nn_NO: 'Tilgang heimanfrå',
+                en_US: 'Remote access',
+                se_NO: 'Beassan ruovttus',
+            },
+            paragraphs: [
+                {
+                    text: {
+                        no_NO: 'For å få tilgang til elektroniske ressurser må du være koblet til UiOs nettverk, på campus eller med {link}',
+                        nn_NO: 'For å få tilgang til elektroniske ressursar må du vere kopla til nettverket til UiO, på campus eller med {link}',
+                        en_US: 'To access electronic resources you must be connected to the UiO network, on campus or {link}',
+                        se_NO: 'Vai beassat elektrovnnalaš gálduide, fertet leat čadnon UiO fierpmádahkii, campusis dahje {link}',
+                    },
+                    link: {
+                        href: {
+                            no_NO: 'https://www.ub.uio.no/bruk/ub-tilgang-hjemmefra.html',
+                            en_US: 'https://www.ub.uio.no/english/using/remote-access.html',
+                        },
+                        label: {
+                            no_NO: 'tilgang hjemmefra.',
+                            nn_NO: 'tilgang heimanfrå.',
+                            en_US: 'from home.',
+                            se_NO: 'ruovttus.',
+                        },
+                    },
+                },
+            ],
+        },
+        {
+            column: 'side',
+            title: {
+                no_NO: 'Hjelp og spørsmål',
+                nn_NO: 'Hjelp og spørsmål',
+                en_US: 'Help and questions',
+                se_NO: 'Veahkki ja gažaldagat',
+            },
+            paragraphs: [
+                {
+                    text: {
+                        no_NO: '{link} til å bruke Oria',
+                        nn_NO: '{link} til å bruke Oria',
+                        en_US: '{link} with Oria',
+                        se_NO: '{link} Oria geavaheapmái',
+                    },
+                    link: {
+                        href: {
+                            no_NO: 'https://www.ub.uio.no/bruk/sok-i-hele-biblioteket/oria-hjelp/',
+                            en_US: 'https://www.ub.uio.no/english/using/search-the-library/oria-help/',
+                        },
+                        label: {
+                            no_NO: 'Veiledning og hjelp',
+                            nn_NO: 'Rettleiing og hjelp',
+                            en_US: 'Tutorials and help',
+                            se_NO: 'Bagadus ja veahkki',
+                        },
+                    },
+                },
+                {
+                    text: '{link}',
+                    link: {
+                        href: 'https://nettskjema.uio.no/answer/88802.html',
+                        label: {
+                            no_NO: 'Kontakt, spørsmål og tilbakemeldinger',
+                            nn_NO: 'Kontakt, spørsmål og tilbakemeldingar',
+                            en_US: 'Contact, questions and feedback',
+                            se_NO: 'Oktavuohta, gažaldagat ja máhcahagat',
+                        },
+                    },
+                },
+            ],
+        },
+    ],
+
+    // Footer columns. Lines are links (`href`, or `action: 'privacySettings'`
+    // to open the privacy settings) or text with an optional `{link}`.
+    footer: {
+        logo: {
+            href: 'https://www.ub.uio.no',
+            src: 'custom/UIO/img/UiO_Segl.png',
+            title: {
+                no_NO: 'Universitetsbiblioteket i Oslo',
+                en_US: 'University of Oslo Library',
+                se_NO: 'Oslo universitehta girjerádju',
+            },
+        },
+        columns: [
+            {
+                // Shown on small screens only
+                mobile: true,
+                lines: [
+                    {href: 'mailto:oria-ub@ub.uio.no', label: 'oria-ub@ub.uio.no'},
+                    {href: 'https://www.ub.uio.no/om/personvernerkleringer/', label: {
+                        no_NO: 'Personvernerklæring',
+                        en_US: 'Privacy policy',
+                        se_NO: 'Persovdnasuodjalanjulggaštus',
+                    }},
+                    {action: 'privacySettings', label: {
+                        no_NO: 'Personverninnstillinger',
+                        nn_NO: 'Personverninnstillingar',
+                        en_US: 'Privacy settings',
+                        se_NO: 'Persovdnasuodjalanheivehusat',
+                    }},
+                ],
+            },
+            {
+                title: {
+                    no_NO: 'Kontaktinformasjon',
+                    en_US: 'Contact information',
+                    se_NO: 'Oktavuođadieđut',
+                },
+                lines: [
+                    {href: 'mailto:oria-ub@ub.uio.no', label: 'oria-ub@ub.uio.no'},
+                    {href: 'https://nettskjema.uio.no/answer/61878.html', label: {
+                        no_NO: 'Kontakt oss',
+                        en_US: 'Contact us',
+                        se_NO: 'Váldde oktavuođa',
+                    }},
+                ],
+            },
+            {
+                title: {
+                    no_NO: 'Ansvarlig for denne siden',
+                    nn_NO: 'Ansvarleg for denne sida',
+                    en_US: 'Responsible for this page',
+                    se_NO: 'Ovddasvástideaddji dán siidui',
+                },
+                lines: [
+                    {
+                        href: {
+                            no_NO: 'https://ub.uio.no/',
+                            en_US: 'https://ub.uio.no/english/',
+                        },
+                        label: {
+                            no_NO: 'UiO : Universitetsbiblioteket',
+                            en_US: 'UiO : University of Oslo Library',
+                            se_NO: 'UiO : Universitehtagirjerádju',
+                        },
+                    },
+                    {href: 'https://www.ub.uio.no/om/personvernerkleringer/', label: {
+                        no_NO: 'Personvernerklæring',
+                        en_US: 'Privacy policy',
+                        se_NO: 'Persovdnasuodjalanjulggaštus',
+                    }},
+                    {action: 'privacySettings', label: {
+                        no_NO: 'Personverninnstillinger',
+                        nn_NO: 'Personverninnstillingar',
+                        en_US: 'Privacy settings',
+                        se_NO: 'Persovdnasuodjalanheivehusat',
+                    }},
+                    {
+                        text: {
+                            no_NO: 'Tjenesten er levert av {link}.',
+                            nn_NO: 'Tenesta er levert av {link}.',
+                            en_US: 'The service is provided by {link}.',
+                            se_NO: 'Bálvalus maid {link} addá.',
+                        },
+                        link: {href: 'https://www.bibsys.no', label: 'BIBSYS'},
+                    },
+                ],
+            },
+        ],
+    },
+};
@@ -0,0 +1,47 @@
+/**
+ * Minimal localization helpers for our own components.
+ *
+ * Primo's `translate` directive only knows the labels defined in the back
+ * office, so components keep their own strings, keyed by Primo language code:
+ *
+ *     const strings = {
+ *         no_NO: {title: 'Ingen treff'},
+ *         en_US: {title: 'No results'},
+ *     };
+ *
+ * Missing languages and missing strings fall back to bokmål (no_NO).
+ *
+ * Structured content, like the front page (frontPage.content.js), instead
+ * keeps the languages together for each string, see `translate()`.
+ */
+
+const DEFAULT_LANGUAGE = 'no_NO';
+
+const LANGUAGES = ['no_NO', 'nn_NO', 'en_US', 'se_NO'];
+
+/**
+ * Get the strings for a language, with fallback to bokmål for missing strings.
+ */
+function localize(strings, lang) {
+    return Object.assign({}, strings[DEFAULT_LANGUAGE], strings[lang] || {});
+}
+
+/**
+ * Get a single string from an object with one string per language, with
+ * fallback to bokmål. Plain strings are returned as they are.
+ */
+function translate(value, lang) {
+    if (!value || typeof value == 'string') {
+        return value;
+    }
+    return value[lang] !== undefined ? value[lang] : value[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Replace `{name}` placeholders in a string.
+ */
+function format(str, values) {
+    return str.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+}
+
+export { DEFAULT_LANGUAGE, LANGUAGES, localize, translate, format };
@@ -0,0 +1,211 @@
+/**
+ * Kiosk mode for public catalogue terminals.
+ *
+ * Enabled using the `kiosk.enabled` config value, for instance by starting
+ * the terminal's browser with `&uio.kiosk.enabled=true` in the URL. Once
+ * enabled, kiosk mode is remembered for the browser session.
+ *
+ * After `kiosk.inactivityTimeout` seconds without user activity, a countdown
+ * is shown (see kioskOverlay.component.js). If nobody touches the terminal
+ * before the countdown ends, the session is reset:
+ *
+ *  - the logging service is notified (`uioKioskReset` event), so it can
+ *    send the remaining events
+ *  - the user is signed out using Primo's userSessionManagerService. We wait
+ *    for the sign out to finish, or at most `kiosk.signOutTimeout` seconds,
+ *    since Primo needs its login token to sign out
+ *  - sessionStorage and localStorage are cleared. This includes the Slurp
+ *    session, the search history, and Primo's own login token and guest
+ *    favourites
+ *  - the browser returns to the front page
+ */
+
+import { format } from './i18n';
+
+const STORAGE_KEY = 'uioKiosk';
+
+// Events that count as user activity
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'touchstart', 'wheel', 'scroll'];
+
+class KioskService {
+
+    constructor($rootScope, $window, $timeout, uioConfig, primoService, searchHistoryService) {
+        this.$rootScope = $rootScope;
+        this.$window = $window;
+        this.$timeout = $timeout;
+        this.config = uioConfig.kiosk;
+        this.viewName = uioConfig.viewName;
+        this.primoService = primoService;
+        this.searchHistory = searchHistoryService;
+
+        this.enabled = !!this.config.enabled || this.getStoredFlag();
+
+        // Seconds left before the session is reset, or null if the countdown
+        // isn't running. Shown by uioKioskOverlay.
+        this.countdown = null;
+
+        this.lastActivity = Date.now();
+
+        // True while waiting for the sign out when resetting
+        this.resetting = false;
+
+        this.activityHandler = () => {
+            this.lastActivity = Date.now();
+            if (this.countdown !== null) {
+                this.$rootScope.$applyAsync(() => this.stopCountdown());
+            }
+        };
+
+        if (this.enabled) {
+            this.start();
+        }
+    }
+
+    /****************************************************************************
+     * Internal methods
+     ****************************************************************************/
+
+    /**
+     * Kiosk mode is remembered in sessionStorage, so it stays on when the
+     * page is reloaded without `uio.kiosk.enabled`. Storage may be
+     * unavailable (private mode etc.), then it lasts for this page only.
+     */
+    getStoredFlag() {
+        try {
+            return this.$window.sessionStorage.getItem(STORAGE_KEY) == '1';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    storeFlag() {
+        try {
+            this.$window.sessionStorage.setItem(STORAGE_KEY, '1');
+        } catch (e) {
+            // Storage unavailable
+        }
+    }
+
+    /**
+     * Clear sessionStorage and localStorage, keeping kiosk mode on.
+     */
+    clearStorage() {
+        ['sessionStorage', 'localStorage'].forEach(name => {
+            try {
+                this.$window[name].clear();
+            } catch (e) {
+                // Storage unavailable
+            }
+        });
+        this.storeFlag();
+    }
+
+    start() {
+        this.storeFlag();
+        ACTIVITY_EVENTS.forEach(name => {
+            this.$window.document.addEventListener(name, this.activityHandler, {passive: true, capture: true});
+        });
+        this.schedule(this.config.inactivityTimeout * 1000);
+    }
+
+    /**
+     * Check for inactivity after `delay` milliseconds. Activity only updates
+     * a timestamp, and the check reschedules itself for the remaining time.
+     */
+    schedule(delay) {
+        this.$timeout.cancel(this.timer);
+        this.timer = this.$timeout(() => this.check(), delay, false);
+    }
+
+    check() {
+        let remaining = this.config.inactivityTimeout * 1000 - (Date.now() - this.lastActivity);
+        if (remaining > 0) {
+            this.schedule(remaining);
+        } else {
+            this.$rootScope.$apply(() => this.startCountdown());
+        }
+    }
+
+    startCountdown() {
+        this.countdown = this.config.countdown;
+        this.tick();
+    }
+
+    tick() {
+        this.timer = this.$timeout(() => {
+            this.countdown--;
+            if (this.countdown <= 0) {
+                this.reset('inactivity');
+            } else {
+                this.tick();
+            }
+        }, 1000);
+    }
+
+    stopCountdown() {
+        this.countdown = null;
+        this.schedule(this.config.inactivityTimeout * 1000);
+    }
+
+    getHomeUrl() {
+        if (this.config.homeUrl) {
+            return format(this.config.homeUrl, {vid: this.viewName});
+        }
+        let path = this.$window.location.pathname.replace(/\/[^/]*$/, '/search');
+        return `${path}?vid=${encodeURIComponent(this.viewName)}`;
+    }
+
+    /****************************************************************************
+     * Public interface
+     ****************************************************************************/
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * The user is still here.
+     */
+    keepAlive() {
+        this.activityHandler();
+    }
+
+    /**
+     * End the session and return to the front page. Reason is 'inactivity'
+     * or 'user' (the user ended the session).
+     */
+    reset(reason) {
+        if (this.resetting) {
+            return;
+        }
+        this.resetting = true;
+        this.$timeout.cancel(this.timer);
+        this.countdown = null;
+
+        this.$rootScope.$broadcast('uioKioskReset', {
+            reason: reason,
+            idle: Math.round((Date.now() - this.lastActivity) / 1000),
+        });
+
+        let done = false;
+        let finish = () => {
+            if (done) {
+                return;
+            }
+            done = true;
+            this.$timeout.cancel(timeout);
+
+            this.searchHistory.clear();
+            this.clearStorage();
+
+            this.$window.location.assign(this.getHomeUrl());
+        };
+
+        let timeout = this.$timeout(finish, this.config.signOutTimeout * 1000, false);
+        this.primoService.signOut().finally(finish);
+    }
+}
+
+KioskService.$inject = ['$rootScope', '$window', '$timeout', 'uioConfig', 'primoService', 'searchHistoryService'];
+
+export default KioskService;
@@ -0,0 +1,89 @@
+/**
+ * Countdown overlay and "end session" button for kiosk mode, see
+ * kiosk.service.js. Inserted from prmSilentLoginAfter, which is outside the
+ * root uiView, so it stays in place during page changes.
+ */
+
+import { localize, format } from './i18n';
+
+const strings = {
+    no_NO: {
+        title: 'Er du fortsatt her?',
+        countdown: 'Økten avsluttes om {seconds} sekunder, og søk, favoritter og innlogging blir slettet.',
+        keepAlive: 'Fortsett',
+        endSession: 'Avslutt økten',
+    },
+    nn_NO: {
+        title: 'Er du framleis her?',
+        countdown: 'Økta blir avslutta om {seconds} sekund, og søk, favorittar og innlogging blir sletta.',
+        keepAlive: 'Hald fram',
+        endSession: 'Avslutt økta',
+    },
+    en_US: {
+        title: 'Are you still there?',
+        countdown: 'The session ends in {seconds} seconds, and searches, favourites and login will be removed.',
+        keepAlive: 'Continue',
+        endSession: 'End session',
+    },
+    se_NO: {
+        title: 'Leat go ain dás?',
+        countdown: 'Áigodat loahpahuvvo {seconds} sekunddas, ja ohcamat, favorihtat ja sisaloggen sihkkojuvvojit.',
+        keepAlive: 'Joatkke',
+        endSession: 'Loahpat áigodaga',
+    },
+};
+
+class UioKioskOverlayController {
+
+    constructor($state, kioskService, loggingService) {
+        this.$state = $state;
+        this.kioskService = kioskService;
+        this.loggingService = loggingService;
+        this.enabled = kioskService.isEnabled();
+    }
+
+    $doCheck() {
+        let lang = this.$state.params.lang || this.loggingService.getUserLanguage();
+        if (lang !== this.lang) {
+            this.lang = lang;
+            this.strings = localize(strings, lang);
+        }
+    }
+
+    isCountingDown() {
+        return this.kioskService.countdown !== null;
+    }
+
+    getCountdownText() {
+        return format(this.strings.countdown, {seconds: this.kioskService.countdown});
+    }
+
+    keepAlive() {
+        this.kioskService.keepAlive();
+    }
+
+    endSession() {
+        this.kioskService.reset('user');
+    }
+}
+
+UioKioskOverlayController.$inject = ['$state', 'kioskService', 'loggingService'];
+
+export default {
+    controller: UioKioskOverlayController,
+    template: `
+    <div ng-if="$ctrl.enabled">
+        <md-button class="md-raised uio-kiosk-end" ng-click="$ctrl.endSession()">{{ $ctrl.strings.endSession }}</md-button>
+
+        <div class="uio-kiosk-overlay" ng-if="$ctrl.isCountingDown()" role="alertdialog"
+            aria-labelledby="uio-kiosk-title" aria-describedby="uio-kiosk-countdown">
+            <div class="uio-kiosk-dialog">
+                <h2 id="uio-kiosk-title" class="md-headline">{{ $ctrl.strings.title }}</h2>
+                <p id="uio-kiosk-countdown" aria-live="polite">{{ $ctrl.getCountdownText() }}</p>
+                <md-button class="md-raised button-confirm" ng-click="$ctrl.keepAlive()">{{ $ctrl.strings.keepAlive }}</md-button>
+                <md-button class="md-raised" ng-click="$ctrl.endSession()">{{ $ctrl.strings.endSession }}</md-button>
+            </div>
+        </div>
+    </div>
+    `,
+};
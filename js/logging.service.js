@@ -10,22 +10,49 @@
  * Events are associated with a UUIDv1 session ID generated locally in the
  * browser and stored in the browser's sessionStorage. By using sessionStorage,
  * each browser tab or window is threated as a different session. A session
- * times out after 30 minutes or when the tab/window is closed.
+ * times out after 30 minutes (configurable as `slurp.sessionTimeout`) or when
+ * the tab/window is closed. Sessions in tabs opened from another tab are
+ * linked to the session in that tab, see session.js.
+ *
+ * Each session begins with a `session_start` event. A `session_end` event is
+ * sent when a session is reset in kiosk mode, or, for a session that timed
+ * out, together with the next `session_start`. Sessions ended by closing the
+ * tab have no `session_end` event.
+ *
+ * Searches and records are tracked from Primo's own REST API calls, picked
+ * up by an `$http` interceptor (see primoApi.interceptor.js). The components
+ * only notify us about pure UI interactions.
+ *
+ * Events are handed over to one or more sinks (see sinks.js), provided by the
+ * `slurpSinks` factory. The default sink sends events to the Slurp server
+ * through a persistent queue that batches them and retries on failure.
+ *
+ * Errors, both our own and uncaught exceptions, are reported as `error`
+ * events, see errorReporter.js.
+ *
+ * Events from public terminals in kiosk mode are tagged with `kiosk: true`,
+ * see kiosk.service.js.
+ *
+ * Nothing is tracked if the user has opted out or the browser sends a
+ * Do Not Track / Global Privacy Control signal, see consent.service.js.
+ * The last events of the session are kept in sessionStorage, so users can
+ * see what we have collected.
  */
 
 import get from 'lodash/get';
 import uniq from 'lodash/uniq';
 import pick from 'lodash/pick';
 import uuidv1 from 'uuid/v1';
+import { parseQuery, queryTerms, queryFacets, parseApiFacets } from './query';
+import { ErrorReporter } from './errorReporter';
+import { SessionManager } from './session';
 
 class LoggingService {
     /*
     $rootScope: IRootScopeService;
-    primoVersion: string;
-    searchStateService: SearchStateService;
+    primoService: PrimoService;
     trail: list;
-    keypresses: number
-    pasted: boolean
+    suggestion: object
     t1: Date
     */
 
@@ -34,39 +61,59 @@ class LoggingService {
      ****************************************************************************/
 
     log() {
-        let debug = false;
+        let debug = this.config.slurp.debug;
 
         let args = [].slice.call(arguments);
         args[0] = '[slurp] ' + args[0];
         if (debug) console.log.apply(this, args);
     }
 
-    constructor($rootScope, $window) {
+    constructor($rootScope, $window, slurpSinks, uioConfig, consentService, primoService, kioskService) {
         this.$rootScope = $rootScope;
         this.$window = $window;
+        this.config = uioConfig;
+        this.consentService = consentService;
+
+        // Sessions on public terminals are tagged, see kiosk.service.js
+        this.kioskService = kioskService;
 
-        // Primo version
-        this.primoVersion = null;
+        // Access to Primo internals, see primo.service.js
+        this.primoService = primoService;
 
-        // Unfortunately many of the Primo services are not injectable, so we need
-        // to get them from one of the components when ready.
-        this.searchStateService = null;
-        this.userSessionManagerService = null;
+        // Event destinations
+        this.sinks = slurpSinks;
 
         // Navigation trail
         this.trail = [];
 
-        // User language
-        this.lang = null;
+        // Sessions, linked across tabs
+        this.sessions = new SessionManager($window, this.config.slurp.sessionTimeout);
 
-        // Number of keypresses in main search field. Tracked by prmSearchBarAfter
-        this.keypresses = 0;
+        // Search suggestions shown and accepted before the next search.
+        // Tracked by uioSearchSuggestions
+        this.suggestion = this.initSuggestion();
 
-        // Received a paste event? Tracked by prmSearchBarAfter
-        this.pasted = false;
+        // Position of each record in the current search results, by record ID
+        this.resultPositions = {};
 
-        // Server url
-        this.url = 'https://ub-www01.uio.no/slurp/';
+        // Browse session: from the first browse page until the next search.
+        // Tracked by prmBrowseSearchAfter
+        this.browseSession = null;
+        this.browseDirection = null;
+
+        // Heading selected in the browse list, included in the next search
+        this.browseSelection = null;
+
+        // API calls completed before the first state change
+        this.pendingApiCalls = [];
+
+        // Error reporting
+        this.errorReporter = new ErrorReporter(
+            $window,
+            this.config.errors,
+            (data) => this.trackEvent('error', data),
+            () => this.getErrorContext()
+        );
 
         $rootScope.$on('$stateChangeSuccess', (event, toState, toParams, fromState) => {
             var sc = {
@@ -78,7 +125,7 @@ class LoggingService {
             };
 
             if (toParams.lang) {
-                this.lang = toParams.lang;
+                this.primoService.setLanguage(toParams.lang);
             }
 
             var dt = '';
@@ -90,6 +137,8 @@ class LoggingService {
             this.t1 = new Date();
             this.log(`%cState changed from ${sc.from} to ${sc.to} ${dt}`, 'background: green; color: white; display: block;');
 
+            this.pendingApiCalls.splice(0).forEach(call => this.trackApiCall(call));
+
             // if (toState.name == 'exploreMain.search') {
             //   req.params = {
             //     mode: toParams.mode,  // 'advanced' or '?'
@@ -115,6 +164,29 @@ class LoggingService {
             //   };
             // }
         });
+
+        $rootScope.$on('uioKioskReset', (event, data) => {
+            this.trackEvent('kiosk_reset', data);
+            this.endSession('kiosk_reset');
+
+            // Session storage is about to be cleared, so send what we have
+            this.flush();
+        });
+
+        // Let components track what they have before the page is unloaded
+        // (see prmBriefResultContainerAfter), then send it. The sinks have
+        // already flushed by now, so this only sends the late events.
+        $window.addEventListener('pagehide', () => {
+            $rootScope.$broadcast('uioPageHide');
+            this.flush();
+        });
+
+        $rootScope.$on('$stateChangeError', (event, toState, toParams, fromState, fromParams, error) => {
+            this.trackException(error, 'state', {
+                from: fromState.name,
+                to: toState.name,
+            });
+        });
     }
 
     /****************************************************************************
@@ -122,29 +194,32 @@ class LoggingService {
      ****************************************************************************/
 
     isLoggedIn() {
-        if (!this.userSessionManagerService) {
-            return false;
-        }
-        return !!this.userSessionManagerService.getUserName().length;
+        return this.primoService.getUser().loggedIn;
     }
 
     getUserLanguage() {
-        if (!this.userSessionManagerService) {
-            return this.lang;
-        }
+        return this.primoService.getUser().lang;
+    }
 
-        return this.userSessionManagerService.getUserLanguage();
+    getErrorContext() {
+        let trailStep = this.trail[this.trail.length - 1];
+        return {
+            primo_version: this.primoService.getVersion(),
+            view: this.config.viewName,
+            state: trailStep ? trailStep.to : null,
+        };
     }
 
     simplifyRecord(record) {
+        let facets = this.config.facets;
         return {
             id:          get(record, 'pnx.control.recordid.0'),
             is_local:    get(record, 'context') == 'L',
             adds_id:     get(record, 'pnx.control.addsrcrecordid.0'),
             source:      get(record, 'pnx.control.sourcesystem.0'),
-            ddc:         uniq(get(record, 'pnx.facets.lfc10', [])),
-            hume:        uniq(get(record, 'pnx.facets.lfc14', [])),
-            real:        uniq(get(record, 'pnx.facets.lfc20', [])),
+            ddc:         uniq(get(record, ['pnx', 'facets', facets.ddc], [])),
+            hume:        uniq(get(record, ['pnx', 'facets', facets.humord], [])),
+            real:        uniq(get(record, ['pnx', 'facets', facets.realfagstermer], [])),
             rsrctype:    get(record, 'pnx.facets.rsrctype', []),
             disptype:    get(record, 'pnx.display.type.0'),
             title:       get(record, 'pnx.display.title.0')
@@ -153,84 +228,178 @@ class LoggingService {
 
     trackEvent(action, data) {
 
-        if (!this.trail.length) {
-            this.error('Ouch!');
+        if (!this.consentService.isTrackingAllowed()) {
+            return;
+        }
+
+        if (!this.trail.length && action != 'error') {
             // something is wrong
+            this.trackError(`Action "${action}" tracked before first state change`);
             return;
         }
-        let trailStep = this.trail[this.trail.length - 1];
-        let meta = {
-            trailStep: this.trail.length,
-            prepTime: trailStep.toTime - trailStep.fromTime,
-            loadTime: (new Date() - trailStep.toTime),
-            version: this.primoVersion,
-        };
 
         let size = JSON.stringify(data).length;
         this.log(`%cTrack "${action}" action (${size} bytes)`, 'background: green; color: white; display: block;');
         this.log('', data);
 
         // Read or create session
-        let sessionTimeout = 30 * 60 ;  // 30 minutes
         let now = Math.round((new Date()).getTime() / 1000);
-        let session = JSON.parse(this.$window.sessionStorage.getItem('slurpSession'));
-        if (!session || now - session.lastActive > sessionTimeout) {
-            // Create new session
-            session = {
-                id: uuidv1(),
-                created: now,
-                lastAction: null,
-                actionCount: 1,
-                lastData: null,
-            };
+        let session = this.sessions.read();
+        if (!session || this.sessions.isExpired(session, now)) {
+            session = this.startSession(session, now);
         }
 
         if (action == session.lastAction && JSON.stringify(data) == session.lastData) {
             // Ignore duplicate due to page reload, login or similar
             this.log('Ingore duplicate action');
-            return;
+            return session.actionCount - 1;
         }
 
-        // Prepare payload
+        return this.sendEvent(session, action, data, now);
+    }
+
+    getMeta() {
+        let trailStep = this.trail[this.trail.length - 1];
+
+        // Errors can happen before the first state change
+        return {
+            trailStep: this.trail.length,
+            prepTime: trailStep ? trailStep.toTime - trailStep.fromTime : null,
+            loadTime: trailStep ? (new Date() - trailStep.toTime) : null,
+            version: this.primoService.getVersion(),
+        };
+    }
+
+    /**
+     * Send an event in the given session, and update the session. Returns
+     * the event's action number.
+     */
+    sendEvent(session, action, data, now) {
         let payload = {
             last_action: session.lastAction,
             action: action,
             lang: this.getUserLanguage(),
             logged_in: this.isLoggedIn(),
             data: data,
-            meta: meta,
+            meta: this.getMeta(),
+            event_id: uuidv1(),
             session_id: session.id,
             session_start: session.created,
+            root_session_id: session.rootId || session.id,
+            parent_session_id: session.parentId || null,
             action_no: session.actionCount,
             hist: this.$window.history.length,
+            kiosk: this.kioskService.isEnabled(),
+            time: now,
         };
 
-        // Don't use $http since we don't want the Primo default headers etc.
-        // By creating a simple request instead, we avoid the browser having
-        // to do an extra CORS preflight request.
-        let req = new XMLHttpRequest();
-        req.open('POST', this.url);
-        // post and forget
-        req.send(JSON.stringify(payload));
+        // Events may be sent in a batch some time later, so the client
+        // timestamp is included in the payload.
+        this.sinks.forEach(sink => {
+            if (sink.accepts(action)) {
+                sink.send(payload);
+            }
+        });
 
         // Update session
         session.actionCount++;
         session.lastAction = action;
         session.lastActive = now;
         session.lastData = JSON.stringify(data);
-        this.$window.sessionStorage.setItem('slurpSession', JSON.stringify(session));
+        session.lastEventId = payload.event_id;
+        this.sessions.write(session);
+
+        this.addRecentEvent(payload);
+
+        return payload.action_no;
+    }
+
+    /**
+     * Start a new session. If the previous session in this tab timed out, it
+     * is ended first.
+     */
+    startSession(previous, now) {
+        if (previous) {
+            // Timed out sessions ended at their last activity
+            this.sendEvent(previous, 'session_end', this.getSessionSummary(previous, 'timeout'), previous.lastActive);
+        }
+        let session = this.sessions.create(now);
+        let reason = session.parentId ? 'child' : (previous ? 'timeout' : 'new');
+        this.sendEvent(session, 'session_start', {
+            reason: reason,
+            parent_session_id: session.parentId,
+            referrer_event_id: session.referrerEventId,
+            via: session.via,
+        }, now);
+        return session;
+    }
+
+    getSessionSummary(session, reason) {
+        return {
+            reason: reason,
+            duration: session.lastActive - session.created,
+            actions: session.actionCount - 1,
+        };
+    }
+
+    /**
+     * End the current session, if any. Reason is 'kiosk_reset'. The next
+     * event starts a new session.
+     */
+    endSession(reason) {
+        let session = this.sessions.read();
+        if (session && this.consentService.isTrackingAllowed() && this.trail.length) {
+            let now = Math.round((new Date()).getTime() / 1000);
+            this.sendEvent(session, 'session_end', this.getSessionSummary(session, reason), now);
+        }
+        this.sessions.clear();
+    }
+
+    /**
+     * Keep the last events in sessionStorage, so we can show users what
+     * we have collected.
+     */
+    addRecentEvent(payload) {
+        let events = this.getRecentEvents();
+        events.push(payload);
+        events = events.slice(-this.config.privacy.recentEvents);
+        try {
+            this.$window.sessionStorage.setItem('slurpRecent', JSON.stringify(events));
+        } catch (e) {
+            // Storage full, not important
+        }
+    }
+
+    /**
+     * Send queued events right away, using sendBeacon where possible.
+     */
+    flush() {
+        this.sinks.forEach(sink => sink.flush());
     }
 
     trackError(msg) {
         this.log(`%c${msg}`, 'background: red; color: white; display: block;');
-        // TODO: Actually send something to server
+        this.errorReporter.report(msg, 'tracked');
     }
 
-    trackSearch(search, result, pageNo) {
-        this.log(`%cGot search results`, 'background: green; color: white; display: block;');
+    /**
+     * Report an exception. Source is one of 'angular', 'state', 'window',
+     * 'promise' or 'http', see errorReporter.js
+     */
+    trackException(error, source, extra) {
+        this.log('%cException', 'background: red; color: white; display: block;', error);
+        this.errorReporter.report(error, source, extra);
+    }
+
+    /**
+     * Track a search. Extra data, such as the backend time, is added to the
+     * event data.
+     */
+    trackSearch(search, result, pageNo, extra) {
+        this.log('%cGot search results', 'background: green; color: white; display: block;');
         this.log('', search, result);
 
-        let recs = result.data.map(this.simplifyRecord);
+        let recs = result.data.map(record => this.simplifyRecord(record));
 
         let facets = search.facets.map(facet => pick(facet, [
             'name',               // ex: 'local20'
@@ -239,57 +408,15 @@ class LoggingService {
             'multiFacetGroupId',  // int
         ]));
 
-        // - Multiple query parts are split by semicolon
-        // - Each part consists of {field},{precision},{term},{operator}
-        // - Semicolons are stripped from queries.
-        // - Colons are included and NOT escaped. Example:
-        //      title,contains,fisker,krabber,OR;creator,contains,tor,NOT;any,exact,laks,AND
-        // - In advanced search, there is always a trailing operator, in simple search not.
-        // - Material type, language and date selected in advanced search are included as
-        //   part of the query, but prefixed with "facet_"
-
-        let query = [], query_facets = [];
-
-        search.query.split(/;/).forEach(function(x) {
-            let comp = x.split(/,/);
-            let res;
-
-            if (comp[comp.length-1].match(/^(?:AND|OR|NOT)$/)) {
-                res = {
-                    op: comp[comp.length-1],
-                    field: comp[0],
-                    prec: comp[1],
-                    term: comp.slice(2, comp.length-1).join(','),
-                };
-            } else {
-                res = {
-                    op: null,
-                    field: comp[0],
-                    prec: comp[1],
-                    term: comp.slice(2, comp.length).join(','),
-                };
-            }
-            if (res.field.match(/^facet_/)) {
-                query_facets.push({
-                    field: res.field,
-                    prec: res.prec,
-                    term: res.term,
-                });
-            } else {
-                query.push(res);
-            }
-        });
-
-        for (var i = query.length - 1; i > 0; i--) {
-            query[i].op = query[i - 1].op;
-        }
-        query[0].op = null;
+        // See query.js for details on the query format
+        let parsedQuery = parseQuery(search.query);
+        let query = queryTerms(parsedQuery),
+            query_facets = queryFacets(parsedQuery);
 
 
         let data = {
             // Input
-            keypresses: this.keypresses,
-            pasted: this.pasted,
+            suggestion: this.suggestion,
 
             // Search
             advanced: search.mode == 'advanced',
@@ -298,7 +425,7 @@ class LoggingService {
             scope: search.scope,    // Trenger vi både scope og tab?
             sort: search.sortby,
             facets: facets,
-            pc: search.pcAvailability == "true",
+            pc: String(search.pcAvailability) == 'true',
 
             // Results
             first: parseInt(result.info.first),
@@ -315,6 +442,7 @@ class LoggingService {
                 has_rt: recs.filter((x) => x.real.length).length,
             },
         };
+        Object.assign(data, extra);
 
         // var summary = `${data.scope}:${data.query}: Loaded ${data.results.length} of ${data.total} results, of which
         //     ${data.aggs.is_local} local (non-PCI), ${data.aggs.has_dewey} got DDC,
@@ -330,105 +458,292 @@ class LoggingService {
             action = 'refinement';
         }
 
-        this.trackEvent(action, data);
+        // Tie a search for a heading selected in a browse list back to the
+        // browse session. Any new search ends the browse session.
+        if (action == 'search') {
+            data.browse = this.browseSelection;
+            this.browseSelection = null;
+            this.browseSession = null;
+        }
+
+        // Let other parts of the package know about the search, like the
+        // search history. Also sent if the user has opted out of tracking.
+        this.$rootScope.$broadcast('uioSearchLoaded', {
+            action: action,
+            query: search.query,
+            scope: search.scope,
+            total: data.total,
+            first: data.first,
+            last: data.last,
+            page_no: pageNo || 1,
+        });
+
+        let actionNo = this.trackEvent(action, data);
+
+        // Remember the position of each result, so clicks and impressions
+        // can be tied to the search.
+        if (action != 'change_page') {
+            this.resultPositions = {};
+        }
+        data.results.forEach((id, idx) => {
+            this.resultPositions[id] = {
+                rank: data.first + idx,
+                page_no: pageNo || 1,
+                search_action_no: actionNo || null,
+            };
+        });
 
         // Reset search state params
-        this.pasted = false;
-        this.keypresses = 0;
+        this.suggestion = this.initSuggestion();
+    }
+
+    initSuggestion() {
+        return {
+            shown: false,       // were any suggestions shown?
+            accepted: false,    // was a suggestion accepted?
+            source: null,       // 'recent', 'subject' or 'endpoint'
+            position: null,     // position in the list, starting at 1
+            typed_length: null, // number of characters typed before accepting
+        };
     }
 
     /****************************************************************************
-     * Interface for prmSearchBarAfter
+     * Interface for prmSearchBarAfter and uioSearchSuggestions
      ****************************************************************************/
 
     // public
     initSearchBar() {
-        this.pasted = false;
-        this.keypresses = 0;
+        this.suggestion = this.initSuggestion();
     }
 
     // public
-    incrKeypressCount() {
-        this.keypresses++;
+    suggestionsShown() {
+        this.suggestion.shown = true;
     }
 
     // public
-    setSearchStateService(searchStateService) {
-        this.searchStateService = searchStateService;
+    suggestionAccepted(source, position, typedLength) {
+        Object.assign(this.suggestion, {
+            accepted: true,
+            source: source,
+            position: position,
+            typed_length: typedLength,
+        });
     }
 
-    // public
-    setUserSessionManagerService(userSessionManagerService) {
-        this.userSessionManagerService = userSessionManagerService;
-    }
+    /****************************************************************************
+     * Interface for the privacy banner
+     ****************************************************************************/
 
     // public
-    setPrimoVersion(version) {
-        this.primoVersion = version;
+    getRecentEvents() {
+        try {
+            return JSON.parse(this.$window.sessionStorage.getItem('slurpRecent')) || [];
+        } catch (e) {
+            return [];
+        }
     }
 
     // public
-    searchBarElementPasteEvent() {
-        this.pasted = true;
+    setOptOut(optOut) {
+        this.consentService.setOptOut(optOut);
+        if (optOut) {
+            // Forget events not yet sent, and the events shown to the user
+            this.sinks.forEach(sink => sink.clear());
+            this.$window.sessionStorage.removeItem('slurpRecent');
+
+            // End the session without telling anyone. If the user opts in
+            // again, a new session is started.
+            this.sessions.clear();
+        }
     }
 
     /****************************************************************************
-     * Interface for prmSearchResultListAfter
+     * Interface for the Primo API interceptor
      ****************************************************************************/
 
     /**
-     * Method called from prmSearchResultListAfter when any number of pages
-     * are loaded. This also indicates that search results are ready.
+     * Called by the interceptor when one of the Primo REST API calls we know
+     * about has completed, see primoApi.interceptor.js
      */
-    searchPageLoaded(pages) {
-
-        if (!this.searchStateService) {
-            // Something is really wrong
-            this.trackError('searchStateService not injected');
+    trackApiCall(call) {
+        if (!this.trail.length) {
+            // Primo may start loading before the first state change
+            this.pendingApiCalls.push(call);
             return;
         }
 
-        if (this.searchStateService.isSearchInProgress()) {
-            this.trackError('searchStateService search still in progress');
-            return;
+        this.log(`API call: ${call.api} (${call.backend_time} ms)`);
+
+        if (call.api == 'search') {
+            this.trackApiSearch(call);
+        } else if (call.api == 'record') {
+            this.trackEvent('load_record', {
+                id: call.id,
+                context: call.context,
+                backend_time: call.backend_time,
+            });
+        } else if (call.api == 'delivery') {
+            this.trackEvent('load_delivery', {
+                records: get(call.body, 'records.length', null),
+                backend_time: call.backend_time,
+            });
+        } else if (call.api == 'favorites' && call.method != 'GET') {
+            // Pinning and unpinning is tracked from the UI, this confirms
+            // that the change was saved.
+            this.trackEvent('favorites_update', {
+                method: call.method,
+                backend_time: call.backend_time,
+            });
         }
+    }
 
-        let search = this.searchStateService.getSearchObject();
-        let result = this.searchStateService.getResultObject();
+    /**
+     * Derive the search from the parameters and the response of a PNX
+     * search API call.
+     */
+    trackApiSearch(call) {
+        let params = call.params;
+        let info = get(call.data, 'info');
 
-        if (!search || !result) {
-            this.trackError('searchObject or resultObject is missing');
+        if (!info) {
+            this.trackError('PNX search response without info');
             return;
         }
 
-        this.trackSearch(search, result, pages);
+        let search = {
+            mode: params.mode,
+            query: params.q,
+            scope: params.scope,
+            sortby: params.sort,
+            facets: parseApiFacets(params),
+            pcAvailability: params.pcAvailability,
+        };
+        let result = {
+            info: info,
+            data: get(call.data, 'docs', []),
+        };
+        let limit = parseInt(params.limit) || 10;
+        let pageNo = Math.floor((parseInt(params.offset) || 0) / limit) + 1;
+
+        this.trackSearch(search, result, pageNo, {backend_time: call.backend_time});
+    }
+
+    /**
+     * Called by the interceptor when one of the Primo REST API calls we know
+     * about has failed.
+     */
+    trackApiError(call) {
+        this.trackException({
+            name: 'HttpError',
+            message: `${call.api} API call failed with status ${call.status}`,
+        }, 'http', {
+            method: call.method,
+            backend_time: call.backend_time,
+        });
     }
 
     /****************************************************************************
      * Interface for prmNoSearchResultAfter
      ****************************************************************************/
 
-    noResultsPageLoaded() {
-        if (!this.searchStateService) {
-            // Something is really wrong
-            this.trackError('searchStateService not injected');
-            return;
-        }
+    /**
+     * Called when the user chooses one of the options on the "no results"
+     * page. `offered` is the list of retry options that were shown.
+     */
+    trackNoResultsRecovery(option, offered) {
+        this.trackEvent('no_results_recovery', {
+            option: option,
+            offered: offered,
+        });
+    }
 
-        if (this.searchStateService.isSearchInProgress()) {
-            this.trackError('searchStateService search still in progress');
-            return;
-        }
+    /****************************************************************************
+     * Interface for prmFacetAfter
+     ****************************************************************************/
 
-        let search = this.searchStateService.getSearchObject();
-        let result = this.searchStateService.getResultObject();
+    /**
+     * The subject vocabulary of a facet group, like 'local14' ('ddc',
+     * 'humord' or 'realfagstermer'), or null for other facets.
+     */
+    getVocabulary(group) {
+        let facets = this.config.searchFacets;
+        return Object.keys(facets).filter(key => facets[key] == group)[0] || null;
+    }
 
-        if (!search || !result) {
-            this.trackError('searchObject or resultObject is missing');
-            return;
+    trackFacetGroupToggle(group, expanded, position) {
+        this.trackEvent('facet_group_toggle', {
+            group: group,
+            vocabulary: this.getVocabulary(group),
+            expanded: expanded,
+            group_position: position,
+        });
+    }
+
+    /**
+     * Facet is an object with group, value, type ('include', 'exclude' or
+     * 'select'), count, position within the group and position of the group.
+     */
+    trackFacetSelect(facet) {
+        this.trackEvent('facet_select', Object.assign({
+            vocabulary: this.getVocabulary(facet.group),
+        }, facet));
+    }
+
+    /**
+     * Removal of an active filter. Group and value are null if all filters
+     * were removed.
+     */
+    trackFacetRemove(facet) {
+        this.trackEvent('facet_remove', Object.assign({
+            vocabulary: this.getVocabulary(facet.group),
+        }, facet));
+    }
+
+    trackFacetShowMore(group, shown) {
+        this.trackEvent('facet_show_more', {
+            group: group,
+            vocabulary: this.getVocabulary(group),
+            shown: shown,
+        });
+    }
+
+    /****************************************************************************
+     * Interface for prmBriefResultContainerAfter
+     ****************************************************************************/
+
+    /**
+     * Get the position of a record in the current search results: rank
+     * (starting at 1), page number and the `action_no` of the search event.
+     * If the record isn't found, we fall back to the index of the result
+     * container, if known.
+     */
+    getResultPosition(record, index) {
+        let id = get(record, 'pnx.control.recordid.0');
+        if (this.resultPositions[id]) {
+            return this.resultPositions[id];
         }
+        return {
+            rank: index !== undefined ? index + 1 : null,
+            page_no: null,
+            search_action_no: null,
+        };
+    }
+
+    trackResultImpression(record, position, visibleTime) {
+        let data = Object.assign({
+            id: get(record, 'pnx.control.recordid.0'),
+            visible_ms: visibleTime,
+        }, position);
+        this.trackEvent('result_impression', data);
+    }
 
-        this.trackSearch(search, result);
+    trackResultClick(record, position, target) {
+        let data = Object.assign({
+            id: get(record, 'pnx.control.recordid.0'),
+            target: target,
+        }, position);
+        this.trackEvent('result_click', data);
     }
 
     /****************************************************************************
@@ -441,14 +756,32 @@ class LoggingService {
         this.trackEvent('view_record', data);
     }
 
-    leaveViewRecord(record) {
+    /**
+     * Called when the full view is closed. The engagement object contains
+     * dwell time, scroll depth, full view sections seen and whether a full
+     * text link was clicked, see prmFullViewAfter.
+     */
+    leaveViewRecord(record, engagement) {
         this.log('Leave record', record);
-        let data = {
+        let data = Object.assign({
             id: get(record, 'pnx.control.recordid.0'),
-        };
+        }, engagement);
         this.trackEvent('leave_record', data);
     }
 
+    /**
+     * Click on a subject in the subject panel, see subjectPanel.component.js.
+     * Related is true for subjects from the search results.
+     */
+    trackSubjectClick(record, vocabulary, term, related) {
+        this.trackEvent('subject_click', {
+            id: get(record, 'pnx.control.recordid.0'),
+            vocabulary: vocabulary,
+            term: term,
+            related: related,
+        });
+    }
+
     trackSendTo(serviceName, record) {
         let data = {
             service: serviceName,
@@ -457,20 +790,71 @@ class LoggingService {
         this.trackEvent('send_to', data);
     }
 
+    /**
+     * Track what happens after a send to action is opened. Step is one of
+     *
+     *  - 'style': citation style chosen
+     *  - 'copy': citation or permalink copied
+     *  - 'export': export downloaded (RIS, BibTeX, EndNote, RefWorks)
+     *  - 'print': print option chosen
+     *  - 'submit': e-mail form submitted
+     *  - 'result': e-mail result ('success', 'failure' or 'unknown')
+     */
+    trackSendToChoice(serviceName, step, choice, record) {
+        let data = {
+            service: serviceName,
+            step: step,
+            choice: choice,
+            rec: this.simplifyRecord(record),
+        };
+        this.trackEvent('send_to', data);
+    }
+
     /****************************************************************************
      * Interface for prmSaveToFavoritesButtonAfter
      ****************************************************************************/
 
-    trackPinRecord(record) {
+    /**
+     * Context is where the button was clicked: 'brief', 'full_view' or 'favorites'
+     */
+    trackPinRecord(record, context) {
         let data = this.simplifyRecord(record);
+        data.context = context;
         this.trackEvent('pin_record', data);
     }
 
-    trackUnpinRecord(record) {
+    trackUnpinRecord(record, context) {
         let data = this.simplifyRecord(record);
+        data.context = context;
         this.trackEvent('unpin_record', data);
     }
 
+    /****************************************************************************
+     * Interface for prmFavoritesAfter
+     ****************************************************************************/
+
+    trackFavoritesAction(group, name) {
+        this.trackEvent('favorites_action', {
+            group: group,
+            name: name,
+        });
+    }
+
+    /****************************************************************************
+     * Interface for uioSearchHistory
+     ****************************************************************************/
+
+    /**
+     * Action is one of 'open', 'rerun', 'pin', 'unpin', 'delete', 'export'
+     * or 'import'. Only the number of entries is included, not the searches.
+     */
+    trackSearchHistory(action, count) {
+        this.trackEvent('search_history', {
+            action: action,
+            entries: count,
+        });
+    }
+
     /****************************************************************************
      * Interface for prmSearchAfter
      ****************************************************************************/
@@ -483,12 +867,70 @@ class LoggingService {
      * Interface for prmBrowseSearchAfter
      ****************************************************************************/
 
+    /**
+     * Track a browse list page. Data contains the browse input, scope, type
+     * ('title', 'author', 'subject' or 'call_number') and query. We add the
+     * paging direction ('new', 'previous', 'next' or 'switch_type'), the
+     * page number within the browse session and the `action_no` of the
+     * first browse event in the session.
+     */
     trackBrowse(data) {
-        this.trackEvent('browse', data);
+        let session = this.browseSession;
+        if (this.browseDirection) {
+            data.direction = this.browseDirection;
+        } else if (session && session.type != data.type) {
+            data.direction = 'switch_type';
+        } else {
+            data.direction = 'new';
+        }
+        this.browseDirection = null;
+
+        data.page = session ? session.pages + 1 : 1;
+        data.browse_action_no = session ? session.start : null;
+
+        let actionNo = this.trackEvent('browse', data);
+
+        this.browseSession = {
+            start: session ? session.start : actionNo || null,
+            pages: data.page,
+            type: data.type,
+            query: data.query,
+        };
+    }
+
+    /**
+     * Called when a paging button is clicked, before the next browse page.
+     */
+    setBrowseDirection(direction) {
+        this.browseDirection = direction;
+    }
+
+    /**
+     * Track a heading selected in the browse list, with its position and the
+     * number of headings in the list. The search for the heading that follows
+     * is tied to it.
+     */
+    trackBrowseSelect(heading) {
+        let session = this.browseSession || {};
+        let data = Object.assign({
+            type: session.type || null,
+            query: session.query || null,
+            page: session.pages || null,
+            browse_action_no: session.start || null,
+        }, heading);
+        let actionNo = this.trackEvent('browse_select', data);
+
+        this.browseSelection = {
+            browse_action_no: data.browse_action_no,
+            select_action_no: actionNo || null,
+            type: data.type,
+            heading: data.heading,
+            position: data.position,
+        };
     }
 
 }
 
-LoggingService.$inject = ['$rootScope', '$window'];
+LoggingService.$inject = ['$rootScope', '$window', 'slurpSinks', 'uioConfig', 'consentService', 'primoService', 'kioskService'];
 
 export default LoggingService;
@@ -1,9 +1,21 @@
-import viewName from './viewName';
+import ConfigProvider from './config.provider';
 import LoggingService from './logging.service';
+import ConsentService from './consent.service';
+import PrimoService from './primo.service';
+import SearchHistoryService from './searchHistory.service';
+import SuggestionsService from './suggestions.service';
+import KioskService from './kiosk.service';
+import OpeningHoursService from './openingHours.service';
+import AccessibilityService from './accessibility.service';
+import { slurpSinksFactory } from './sinks';
+import { exceptionHandlerDecorator } from './errorReporter';
+import { primoApiInterceptorFactory } from './primoApi.interceptor';
 
 import prmActionListAfter from './prmActionListAfter.component';
 import prmBriefResultContainerAfter from './prmBriefResultContainerAfter.component';
 import prmBrowseSearchAfter from './prmBrowseSearchAfter.component';
+import prmFacetAfter from './prmFacetAfter.component';
+import prmFavoritesAfter from './prmFavoritesAfter.component';
 import prmFullViewAfter from './prmFullViewAfter.component';
 import prmNoSearchResultAfter from './prmNoSearchResultAfter.component';
 import prmSaveToFavoritesButtonAfterComponent from './prmSaveToFavoritesButtonAfter.component';
@@ -11,12 +23,53 @@ import prmSearchAfterComponent from './prmSearchAfter.component';
 import prmSearchBarAfterConfig from './prmSearchBarAfter.component';
 import prmSearchResultListAfter from './prmSearchResultListAfter.component';
 import prmSilentLoginAfterComponent from './prmSilentLoginAfter.component';
+import uioPrivacyBanner from './privacyBanner.component';
+import uioSearchSuggestions from './searchSuggestions.component';
+import uioSearchHistory from './searchHistory.component';
+import uioKioskOverlay from './kioskOverlay.component';
+import uioSubjectPanel from './subjectPanel.component';
+import uioFrontPage from './frontPage.component';
+import uioOpeningHours from './openingHours.component';
+import uioSkipLinks from './skipLinks.component';
 
 
 const app = angular.module('viewCustom', ['angularLoad']);
 
+// Configuration, see config.provider.js
+app.provider('uioConfig', ConfigProvider);
+
+// Report Angular exceptions to the logging service, see errorReporter.js
+app.config(['$provide', ($provide) => {
+    $provide.decorator('$exceptionHandler', exceptionHandlerDecorator);
+}]);
+
+// Track searches and records from Primo's API calls, see primoApi.interceptor.js
+app.factory('primoApiInterceptor', primoApiInterceptorFactory);
+app.config(['$httpProvider', ($httpProvider) => {
+    $httpProvider.interceptors.push('primoApiInterceptor');
+}]);
+
+// Destinations for the logging service events, see sinks.js
+app.factory('slurpSinks', slurpSinksFactory);
+// Access to Primo internals, see primo.service.js
+app.service('primoService', PrimoService);
+
+app.service('consentService', ConsentService);
 app.service('loggingService', LoggingService);
 
+// The user's recent searches and search suggestions
+app.service('searchHistoryService', SearchHistoryService);
+app.service('suggestionsService', SuggestionsService);
+
+// Kiosk mode for public terminals
+app.service('kioskService', KioskService);
+
+// Opening hours and service notices
+app.service('openingHoursService', OpeningHoursService);
+
+// Live region announcements, focus management and reduced motion
+app.service('accessibilityService', AccessibilityService);
+
 // SearchBar: The search form at the top of the page. Not reloaded on normal page changes.
 app.component('prmSearchBarAfter', prmSearchBarAfterConfig);
 
@@ -32,6 +85,9 @@ app.component('prmSearchResultListAfter', prmSearchResultListAfter);
 // NoSearchResult: If a search yields zero results, we get this instead of SearchResultList
 app.component('prmNoSearchResultAfter', prmNoSearchResultAfter);
 
+// Facet: The facet sidebar, with the facet groups and the active filters
+app.component('prmFacetAfter', prmFacetAfter);
+
 // BriefResultContainer: Each search result in the results list
 app.component('prmBriefResultContainerAfter', prmBriefResultContainerAfter);
 
@@ -44,14 +100,45 @@ app.component('prmActionListAfter', prmActionListAfter);
 // SaveToFavoritesButton: The "pin record" button, this is found in multiple places
 app.component('prmSaveToFavoritesButtonAfter', prmSaveToFavoritesButtonAfterComponent);
 
+// Favorites: The favourites page, with pinned records and saved searches
+app.component('prmFavoritesAfter', prmFavoritesAfter);
+
 // SilentLogin: Component outside the root uiView.
 app.component('prmSilentLoginAfter', prmSilentLoginAfterComponent);
 
+// ------------------------------------------------------------------------
+// Our own components
+
+// PrivacyBanner: Privacy information and settings, inserted by prmSilentLoginAfter
+app.component('uioPrivacyBanner', uioPrivacyBanner);
+
+// KioskOverlay: Inactivity countdown in kiosk mode, inserted by prmSilentLoginAfter
+app.component('uioKioskOverlay', uioKioskOverlay);
+
+// FrontPage: Cards and footer on the front page, inserted by prmSearchAfter
+app.component('uioFrontPage', uioFrontPage);
+
+// OpeningHours: Today's opening hours and service notices, inserted by prmSearchAfter
+app.component('uioOpeningHours', uioOpeningHours);
+
+// SkipLinks: Links to the results, facets and search field, inserted by prmSilentLoginAfter
+app.component('uioSkipLinks', uioSkipLinks);
+
+// SearchSuggestions: Search-as-you-type suggestions, inserted by prmSearchBarAfter
+app.component('uioSearchSuggestions', uioSearchSuggestions);
+
+// SearchHistory: The user's search history, inserted by prmSearchBarAfter
+app.component('uioSearchHistory', uioSearchHistory);
+
+// SubjectPanel: Subject headings of a record, inserted by prmFullViewAfter
+app.component('uioSubjectPanel', uioSubjectPanel);
+
 // ------------------------------------------------------------------------
 
+// The logging and accessibility services are injected here so they listen for events from the start
 // eslint-disable-next-line no-unused-vars
-app.run(['$rootScope', 'loggingService', ($rootScope, loggingService) => {
+app.run(['$rootScope', 'uioConfig', 'loggingService', 'accessibilityService', ($rootScope, uioConfig, loggingService, accessibilityService) => {
     // WARNING: This might not be called if Primo errors..
     // Components may still be initialized
-    $rootScope.viewName = viewName;
+    $rootScope.viewName = uioConfig.viewName;
 }]);
@@ -0,0 +1,153 @@
+/**
+ * Today's opening hours of the UiO libraries and current service notices,
+ * see openingHours.service.js. Inserted from prmSearchAfter on the front page.
+ *
+ * Notices are removed when they expire, and the opening hours are updated
+ * at midnight, without reloading the page.
+ */
+
+import { localize, translate } from './i18n';
+
+const strings = {
+    no_NO: {
+        title: 'Åpningstider i dag',
+        closed: 'Stengt',
+        openNow: 'Åpent nå',
+        allHours: 'Alle åpningstider',
+        notices: 'Driftsmeldinger',
+        readMore: 'Les mer',
+        sample: 'Eksempeldata, ikke faktiske åpningstider',
+    },
+    nn_NO: {
+        title: 'Opningstider i dag',
+        closed: 'Stengt',
+        openNow: 'Ope no',
+        allHours: 'Alle opningstider',
+        notices: 'Driftsmeldingar',
+        readMore: 'Les meir',
+        sample: 'Eksempeldata, ikkje faktiske opningstider',
+    },
+    en_US: {
+        title: 'Opening hours today',
+        closed: 'Closed',
+        openNow: 'Open now',
+        allHours: 'All opening hours',
+        notices: 'Service notices',
+        readMore: 'Read more',
+        sample: 'Sample data, not the actual opening hours',
+    },
+    se_NO: {
+        title: 'Rabas áiggit odne',
+        closed: 'Giddejuvvon',
+        openNow: 'Rabas dál',
+        allHours: 'Buot rabas áiggit',
+        notices: 'Doaibmadieđáhusat',
+        readMore: 'Loga eanet',
+        sample: 'Ovdamearkadieđut, eai duođalaš rabas áiggit',
+    },
+};
+
+// Max delay for $timeout (about 24.8 days)
+const MAX_DELAY = 2147483647;
+
+class UioOpeningHoursController {
+
+    constructor($state, $timeout, openingHoursService, loggingService) {
+        this.$state = $state;
+        this.$timeout = $timeout;
+        this.openingHours = openingHoursService;
+        this.loggingService = loggingService;
+
+        this.feed = null;
+        this.libraries = [];
+        this.notices = [];
+    }
+
+    $onInit() {
+        this.openingHours.load().then(feed => {
+            this.feed = feed;
+            this.update();
+        });
+    }
+
+    $doCheck() {
+        // Language can change at any time
+        let lang = this.$state.params.lang || this.loggingService.getUserLanguage();
+        if (lang !== this.lang) {
+            this.lang = lang;
+            this.strings = localize(strings, lang);
+            this.update();
+        }
+    }
+
+    $onDestroy() {
+        this.$timeout.cancel(this.timer);
+    }
+
+    update() {
+        if (!this.feed) {
+            return;
+        }
+        let now = new Date();
+        this.libraries = this.openingHours.getHours(this.feed, now).map(library => ({
+            name: translate(library.name, this.lang),
+            url: library.url,
+            hours: library.hours ? `${library.hours.opens}–${library.hours.closes}` : this.strings.closed,
+            isOpen: library.isOpen,
+        }));
+        this.notices = this.openingHours.getNotices(this.feed, now).map(notice => ({
+            type: notice.type || 'info',
+            text: translate(notice.text, this.lang),
+            url: translate(notice.url, this.lang) || null,
+        }));
+        this.allHoursUrl = translate(this.feed.url, this.lang) || null;
+
+        // Expire notices and change the date. The extra second makes sure
+        // we're past the change.
+        let delay = this.openingHours.getTimeToNextChange(this.feed, now) + 1000;
+        this.$timeout.cancel(this.timer);
+        this.timer = this.$timeout(() => this.update(), Math.min(delay, MAX_DELAY));
+    }
+}
+
+UioOpeningHoursController.$inject = ['$state', '$timeout', 'openingHoursService', 'loggingService'];
+
+export default {
+    controller: UioOpeningHoursController,
+    template: `
+    <div class="uio-opening-hours" ng-if="$ctrl.feed">
+        <section class="uio-notices" ng-if="$ctrl.notices.length" aria-label="{{ $ctrl.strings.notices }}">
+            <div ng-repeat="notice in $ctrl.notices" class="uio-notice uio-notice-{{ notice.type }}">
+                {{ notice.text }}
+                <a ng-if="notice.url" ng-href="{{ notice.url }}" target="_blank">{{ $ctrl.strings.readMore }}</a>
+            </div>
+        </section>
+
+        <md-card class="default-card" ng-if="$ctrl.libraries.length">
+            <md-card-title>
+                <md-card-title-text>
+                    <h2 class="md-headline">{{ $ctrl.strings.title }}</h2>
+                </md-card-title-text>
+            </md-card-title>
+            <md-card-content>
+                <ul class="uio-opening-hours-list">
+                    <li ng-repeat="library in $ctrl.libraries" ng-class="{'uio-open': library.isOpen}">
+                        <span class="uio-library-name">
+                            <a ng-if="library.url" ng-href="{{ library.url }}" target="_blank">{{ library.name }}</a>
+                            <span ng-if="!library.url">{{ library.name }}</span>
+                        </span>
+                        <span class="uio-library-hours">
+                            {{ library.hours }}
+                            <span ng-if="library.isOpen" class="uio-open-now">({{ $ctrl.strings.openNow }})</span>
+                        </span>
+                    </li>
+                </ul>
+                <p ng-if="$ctrl.feed.source == 'fallback'" class="uio-opening-hours-sample">{{ $ctrl.strings.sample }}</p>
+                <p ng-if="$ctrl.allHoursUrl">
+                    <a ng-href="{{ $ctrl.allHoursUrl }}" target="_blank" class="md-primoExplore-theme">{{ $ctrl.strings.allHours }}</a>
+                </p>
+            </md-card-content>
+        </md-card>
+    </div>
+    `,
+};
@@ -0,0 +1,156 @@
+/**
+ * Opening hours of the UiO libraries and service notices, shown on the front
+ * page by openingHours.component.js.
+ *
+ * Read from a JSON feed (`openingHours.url`). If no feed is configured, or the
+ * feed can't be loaded, nothing is shown. For testing and offline use, the
+ * `openingHours.fallback` option shows the bundled openingHours.fallback.json
+ * instead. Its opening hours are made up, so they are labelled as sample data.
+ * The file also documents the feed format:
+ *
+ *  - `libraries`: list of {id, name, url, hours, exceptions}, where `hours`
+ *    has the regular opening hours for each weekday ('mon' to 'sun') and
+ *    `exceptions` the opening hours for specific dates ('2026-12-24'). Opening
+ *    hours are {opens, closes} ('08:00'), or null if the library is closed.
+ *  - `notices`: list of {id, type, text, url, start, end}, where type is
+ *    'info', 'closure' or 'outage', and start and end are ISO 8601 times.
+ *    Notices are only shown between start and end (both optional).
+ *  - `url`: optional link to all opening hours.
+ *
+ * Names and texts are objects with one string per language, see i18n.js.
+ * Dates and times are in the browser's time zone.
+ */
+
+import fallback from './openingHours.fallback.json';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function pad(n) {
+    return (n < 10 ? '0' : '') + n;
+}
+
+/**
+ * Date as 'YYYY-MM-DD' in the browser's time zone.
+ */
+function getDateKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Time as 'HH:MM' in the browser's time zone.
+ */
+function getTimeKey(date) {
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+class OpeningHoursService {
+
+    constructor($http, $q, uioConfig) {
+        this.$http = $http;
+        this.$q = $q;
+        this.config = uioConfig.openingHours;
+        this.feed = null;
+    }
+
+    /****************************************************************************
+     * Internal methods
+     ****************************************************************************/
+
+    isValid(data) {
+        return !!data && Array.isArray(data.libraries);
+    }
+
+    /**
+     * The bundled sample data, or null if not enabled.
+     */
+    getFallback() {
+        if (!this.config.fallback) {
+            return null;
+        }
+        return Object.assign({source: 'fallback'}, fallback);
+    }
+
+    /****************************************************************************
+     * Public interface
+     ****************************************************************************/
+
+    /**
+     * Load the feed, once per page load. Returns a promise for the feed, with
+     * `source` set to 'feed' or 'fallback', or null if there is nothing to
+     * show. The promise is never rejected.
+     */
+    load() {
+        if (this.feed) {
+            return this.feed;
+        }
+        if (!this.config.url) {
+            this.feed = this.$q.resolve(this.getFallback());
+            return this.feed;
+        }
+        this.feed = this.$http.get(this.config.url, {timeout: this.config.timeout}).then(
+            response => this.isValid(response.data) ? Object.assign({source: 'feed'}, response.data) : this.getFallback(),
+            () => this.getFallback()
+        );
+        return this.feed;
+    }
+
+    /**
+     * Opening hours for the given date, for each library in the feed, or the
+     * libraries listed in `openingHours.libraries`. Returns a list of
+     * {id, name, url, hours, isOpen}, where `isOpen` tells whether the
+     * library is open at the given time.
+     */
+    getHours(feed, date) {
+        let dateKey = getDateKey(date);
+        let timeKey = getTimeKey(date);
+        let ids = this.config.libraries;
+        return feed.libraries
+            .filter(library => !ids || ids.indexOf(library.id) != -1)
+            .map(library => {
+                let exceptions = library.exceptions || {};
+                let hours = Object.prototype.hasOwnProperty.call(exceptions, dateKey) ? exceptions[dateKey] : (library.hours || {})[WEEKDAYS[date.getDay()]];
+                hours = hours || null;
+                return {
+                    id: library.id,
+                    name: library.name,
+                    url: library.url || null,
+                    hours: hours,
+                    isOpen: !!hours && hours.opens <= timeKey && timeKey < hours.closes,
+                };
+            });
+    }
+
+    /**
+     * Notices that are active at the given time.
+     */
+    getNotices(feed, date) {
+        let now = date.getTime();
+        return (feed.notices || []).filter(notice =>
+            (!notice.start || Date.parse(notice.start) <= now) && (!notice.end || now < Date.parse(notice.end))
+        );
+    }
+
+    /**
+     * Milliseconds from the given time until the shown information changes:
+     * a notice starts or expires, or the date changes. Opening and closing
+     * times are not included, so `isOpen` may be a bit out of date.
+     */
+    getTimeToNextChange(feed, date) {
+        let now = date.getTime();
+        let midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+        let times = [midnight];
+        (feed.notices || []).forEach(notice => {
+            [notice.start, notice.end].forEach(time => {
+                let t = time ? Date.parse(time) : NaN;
+                if (t > now) {
+                    times.push(t);
+                }
+            });
+        });
+        return Math.min.apply(null, times) - now;
+    }
+}
+
+OpeningHoursService.$inject = ['$http', '$q', 'uioConfig'];
+
+export default OpeningHoursService;
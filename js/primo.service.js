@@ -0,0 +1,309 @@
+/**
+ * Compatibility layer for Primo internals.
+ *
+ * There is no open and documented API for Primo Explore apart from the
+ * directive hooks, so we depend on undocumented things like
+ * `parentCtrl.searchService.searchStateService` that may change between Primo
+ * versions. This service is the only place that should know about them. It
+ * exposes a simple domain model (current search, record, user, view and
+ * Primo version) to the rest of the package.
+ *
+ * Components that have access to a Primo service pass their `parentCtrl` to
+ * `connect()`, and the service picks up whatever it can find there.
+ *
+ * The locations of the Primo internals are defined by strategies. The first
+ * strategy that matches the Primo version (`Primo_Version_Number` in the
+ * appConfig) is used, and within a strategy, each location is a list of
+ * paths that are tried in order (feature detection). When Primo changes,
+ * add a new strategy at the top of the list. If the version is unknown, the
+ * newest strategy is used.
+ */
+
+import get from 'lodash/get';
+import set from 'lodash/set';
+
+// Locations that are the same in all the versions we know
+const COMMON_PATHS = {
+    // Found on prmSearchBar and prmSearchResultList
+    searchStateService: ['searchService.searchStateService', 'searchStateService'],
+
+    // Found on prmSilentLogin
+    userSessionManagerService: ['userSessionManagerService'],
+
+    // Found on prmBrowseSearch
+    browseSearchBarService: ['browseSearchBarService'],
+    browseSearchService: ['browseSearchService'],
+
+    // Found on prmFullView, prmBriefResultContainer, prmActionList, prmSaveToFavoritesButton
+    record: ['item'],
+    resultIndex: ['index'],
+
+    // Found on prmSearchResultList
+    loadedPages: ['numOfLoadedPages'],
+
+    // Found on prmSearchBar
+    advancedSearch: ['advancedSearch'],
+    mainSearchField: ['mainSearchField'],
+};
+
+const STRATEGIES = [
+    {
+        // prmSearchBar keeps its state in properties prefixed with an
+        // underscore, behind getters and setters
+        name: 'primo-2',
+        since: '2.0',
+        paths: Object.assign({}, COMMON_PATHS, {
+            selectedTab: ['_selectedTab', 'selectedTab'],
+            selectedScope: ['_selectedScope', 'selectedScope'],
+            placeholderText: ['_placeHolderText', 'placeHolderText'],
+        }),
+    },
+    {
+        // Earlier versions, with plain properties on prmSearchBar
+        name: 'primo-1',
+        since: null,
+        paths: Object.assign({}, COMMON_PATHS, {
+            selectedTab: ['selectedTab', '_selectedTab'],
+            selectedScope: ['selectedScope', '_selectedScope'],
+            placeholderText: ['placeHolderText', '_placeHolderText'],
+        }),
+    },
+];
+
+/**
+ * Parse a version number like '2.1.0' into a list of numbers, or null if
+ * it's not a version number.
+ */
+function parseVersion(version) {
+    let match = String(version).match(/^\d+(\.\d+)*/);
+    return match ? match[0].split('.').map(Number) : null;
+}
+
+/**
+ * Whether the parsed version `version` is at least the version `since`.
+ */
+function isAtLeast(version, since) {
+    let min = parseVersion(since);
+    for (let i = 0; i < min.length; i++) {
+        let part = version[i] || 0;
+        if (part != min[i]) {
+            return part > min[i];
+        }
+    }
+    return true;
+}
+
+class PrimoService {
+
+    constructor($window, $q, $injector, uioConfig) {
+        this.$window = $window;
+        this.$q = $q;
+        this.$injector = $injector;
+        this.config = uioConfig;
+
+        // Primo services picked up from the components, by name
+        this.services = {};
+
+        // Language from the URL, updated on state changes
+        this.lang = null;
+    }
+
+    /****************************************************************************
+     * Internal methods
+     ****************************************************************************/
+
+    /**
+     * The strategy for the Primo version. The appConfig might not be ready
+     * when the service is created, so the strategy is chosen on use.
+     */
+    getStrategy() {
+        let version = parseVersion(this.getVersion());
+        if (!version) {
+            return STRATEGIES[0];
+        }
+        return STRATEGIES.filter(strategy => !strategy.since || isAtLeast(version, strategy.since))[0];
+    }
+
+    /**
+     * The logging service is looked up lazily, since it depends on this
+     * service.
+     */
+    trackError(msg) {
+        this.$injector.get('loggingService').trackError(msg);
+    }
+
+    /**
+     * Look up one of the Primo internals from a controller, trying each of
+     * the paths defined by the strategy in order.
+     */
+    lookup(ctrl, name) {
+        let paths = this.getStrategy().paths[name];
+        for (let i = 0; i < paths.length; i++) {
+            let value = get(ctrl, paths[i]);
+            if (value !== undefined) {
+                return value;
+            }
+        }
+        return undefined;
+    }
+
+    /****************************************************************************
+     * Public interface
+     ****************************************************************************/
+
+    /**
+     * Pick up the Primo services found on a component's parent controller.
+     */
+    connect(parentCtrl) {
+        ['searchStateService', 'userSessionManagerService'].forEach(name => {
+            let service = this.lookup(parentCtrl, name);
+            if (service) {
+                this.services[name] = service;
+            }
+        });
+    }
+
+    /**
+     * Check if a Primo service has been found.
+     */
+    has(name) {
+        return !!this.services[name];
+    }
+
+    setLanguage(lang) {
+        this.lang = lang;
+    }
+
+    getVersion() {
+        return get(this.$window.appConfig, 'system-configuration.Primo_Version_Number', 'unknown');
+    }
+
+    getView() {
+        return {
+            name: this.config.viewName,
+            lang: this.getUser().lang,
+        };
+    }
+
+    getUser() {
+        let service = this.services.userSessionManagerService;
+        if (!service) {
+            return {loggedIn: false, lang: this.lang};
+        }
+        return {
+            loggedIn: !!service.getUserName().length,
+            lang: service.getUserLanguage() || this.lang,
+        };
+    }
+
+    /**
+     * Sign out the user, if logged in. Returns a promise that is resolved with
+     * true when signed out, or false if the user wasn't logged in or couldn't
+     * be signed out.
+     */
+    signOut() {
+        let service = this.services.userSessionManagerService;
+        if (!service || !this.getUser().loggedIn) {
+            return this.$q.resolve(false);
+        }
+        if (typeof service.signOut != 'function') {
+            this.trackError('userSessionManagerService.signOut() not found');
+            return this.$q.resolve(false);
+        }
+        return this.$q.when()
+            .then(() => service.signOut())
+            .then(() => true, () => {
+                this.trackError('userSessionManagerService.signOut() failed');
+                return false;
+            });
+    }
+
+    /**
+     * The current search. Returns null if the searchStateService hasn't been
+     * found, otherwise an object with the search object, the result object and
+     * whether the search is still in progress.
+     */
+    getSearch() {
+        let service = this.services.searchStateService;
+        if (!service) {
+            return null;
+        }
+        return {
+            inProgress: service.isSearchInProgress(),
+            search: service.getSearchObject(),
+            result: service.getResultObject(),
+        };
+    }
+
+    /**
+     * The record of a component showing a single record.
+     */
+    getRecord(parentCtrl) {
+        return this.lookup(parentCtrl, 'record');
+    }
+
+    /**
+     * The index of a record in the result list, if known.
+     */
+    getResultIndex(parentCtrl) {
+        return this.lookup(parentCtrl, 'resultIndex');
+    }
+
+    /**
+     * The number of result pages loaded in the result list.
+     */
+    getLoadedPages(parentCtrl) {
+        return this.lookup(parentCtrl, 'loadedPages');
+    }
+
+    /**
+     * Whether the search bar is in advanced search mode.
+     */
+    isAdvancedSearch(parentCtrl) {
+        return !!this.lookup(parentCtrl, 'advancedSearch');
+    }
+
+    /**
+     * The tab and scope selected in the search bar.
+     */
+    getSearchBarScope(parentCtrl) {
+        return {
+            tab: this.lookup(parentCtrl, 'selectedTab') || null,
+            scope: this.lookup(parentCtrl, 'selectedScope') || null,
+        };
+    }
+
+    /**
+     * Set the text of the main search field.
+     */
+    setSearchText(parentCtrl, text) {
+        let paths = this.getStrategy().paths.mainSearchField;
+        set(parentCtrl, paths[0], text);
+    }
+
+    /**
+     * The placeholder text of the main search field.
+     */
+    getPlaceholder(parentCtrl) {
+        return this.lookup(parentCtrl, 'placeholderText');
+    }
+
+    setPlaceholder(parentCtrl, text) {
+        let paths = this.getStrategy().paths.placeholderText;
+        set(parentCtrl, paths[0], text);
+    }
+
+    /**
+     * The current browse search.
+     */
+    getBrowse(parentCtrl) {
+        return {
+            input: get(this.lookup(parentCtrl, 'browseSearchBarService'), 'searchBarInput'),
+            scope: get(this.lookup(parentCtrl, 'browseSearchService'), 'searchedScope'),
+        };
+    }
+}
+
+PrimoService.$inject = ['$window', '$q', '$injector', 'uioConfig'];
+
+export default PrimoService;
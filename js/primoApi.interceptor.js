@@ -0,0 +1,119 @@
+/**
+ * `$http` interceptor that recognises Primo's own calls to its REST API, and
+ * passes them on to the logging service together with the time the backend
+ * used to respond.
+ *
+ * This lets the logging service track searches and records directly from the
+ * API calls, instead of depending on notifications from the components and
+ * on Primo's undocumented `searchStateService`. Component hooks are only
+ * needed for pure UI interactions.
+ *
+ * The API calls we know about are defined below. Calls that don't match any
+ * of them pass through untouched.
+ */
+
+// Name and URL pattern of each API call. The first match wins, so the
+// delivery call must come before the full display call.
+const APIS = [
+    // PNX search: GET .../primo-explore/v1/pnxs?q=any,contains,fisk&offset=0&limit=10...
+    ['search', /\/primo-explore\/v1\/pnxs(?:\?|$)/],
+
+    // Delivery (availability) for a list of records: POST .../primo-explore/v1/pnxs/delivery
+    ['delivery', /\/primo-explore\/v1\/pnxs\/delivery(?:\?|$)/],
+
+    // Full display of a single record: GET .../primo-explore/v1/pnxs/{context}/{recordId}
+    ['record', /\/primo-explore\/v1\/pnxs\/([^/?]+)\/([^/?]+)/],
+
+    // Favourites (pinned records and saved searches): .../v1/favorites
+    ['favorites', /\/v1\/favorites(?:[/?]|$)/],
+];
+
+/**
+ * Find the API called by a request, if any.
+ */
+function matchApi(url) {
+    for (let i = 0; i < APIS.length; i++) {
+        let match = url.match(APIS[i][1]);
+        if (match) {
+            return {name: APIS[i][0], match: match};
+        }
+    }
+    return null;
+}
+
+/**
+ * Request parameters, from both the URL query string and `config.params`.
+ */
+function getParams(config) {
+    let params = {};
+    let idx = config.url.indexOf('?');
+    if (idx != -1) {
+        config.url.slice(idx + 1).split('&').filter(str => str.length).forEach(str => {
+            let comp = str.split('=');
+            params[decodeURIComponent(comp[0])] = decodeURIComponent(comp.slice(1).join('=').replace(/\+/g, ' '));
+        });
+    }
+    return Object.assign(params, config.params || {});
+}
+
+/**
+ * Describe a completed API call for the logging service.
+ */
+function describeCall(config, status, data) {
+    let api = config.uioApi;
+    return {
+        api: api.name,
+        method: config.method,
+        params: getParams(config),
+        // For full display: record context ('L', 'PC') and record ID
+        context: api.name == 'record' ? api.match[1] : null,
+        id: api.name == 'record' ? decodeURIComponent(api.match[2]) : null,
+        body: config.data || null,
+        status: status,
+        data: data,
+        backend_time: Date.now() - api.start,
+    };
+}
+
+function primoApiInterceptorFactory($q, $injector) {
+
+    // The logging service is looked up lazily, since `$http` is created
+    // before most services. The call is described inside the try as well,
+    // since decoding a malformed URL throws.
+    function track(method, describe) {
+        try {
+            $injector.get('loggingService')[method](describe());
+        } catch (e) {
+            // Never let tracking break Primo's requests
+        }
+    }
+
+    return {
+        request: (config) => {
+            let api = matchApi(config.url || '');
+            if (api) {
+                config.uioApi = {name: api.name, match: api.match, start: Date.now()};
+            }
+            return config;
+        },
+
+        response: (response) => {
+            if (response.config && response.config.uioApi) {
+                track('trackApiCall', () => describeCall(response.config, response.status, response.data));
+            }
+            return response;
+        },
+
+        responseError: (rejection) => {
+            // Primo aborts a search when a new one is started, that's not an error
+            if (rejection && rejection.config && rejection.config.uioApi && rejection.xhrStatus != 'abort') {
+                track('trackApiError', () => describeCall(rejection.config, rejection.status, null));
+            }
+            return $q.reject(rejection);
+        },
+    };
+}
+
+primoApiInterceptorFactory.$inject = ['$q', '$injector'];
+
+export { primoApiInterceptorFactory };
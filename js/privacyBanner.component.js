@@ -0,0 +1,164 @@
+/**
+ * Privacy banner and settings panel for the Slurp logging service.
+ *
+ * The banner tells the user that we collect anonymous usage statistics. The
+ * settings panel lets the user opt out, and shows the events we have
+ * collected during the current session.
+ *
+ * The component is inserted from prmSilentLoginAfter, which is outside the
+ * root uiView, so it stays in place during page changes.
+ */
+
+import { localize } from './i18n';
+
+const strings = {
+    no_NO: {
+        banner: 'Vi samler anonym statistikk om bruken av Oria for å forbedre tjenesten. Vi lagrer ikke IP-adresser eller andre opplysninger om deg.',
+        ok: 'OK',
+        settings: 'Personvern',
+        title: 'Personvern og statistikk',
+        optOut: 'Ikke samle statistikk om min bruk',
+        doNotTrack: 'Nettleseren din ber om å ikke bli sporet (Do Not Track / Global Privacy Control), så vi samler ikke statistikk om din bruk.',
+        collected: 'Dette har vi samlet inn i denne økten',
+        nothing: 'Ingenting er samlet inn i denne økten.',
+        policy: 'Personvernerklæring',
+        close: 'Lukk',
+    },
+    nn_NO: {
+        banner: 'Vi samlar anonym statistikk om bruken av Oria for å gjere tenesta betre. Vi lagrar ikkje IP-adresser eller andre opplysningar om deg.',
+        ok: 'OK',
+        settings: 'Personvern',
+        title: 'Personvern og statistikk',
+        optOut: 'Ikkje samle statistikk om bruken min',
+        doNotTrack: 'Nettlesaren din ber om å ikkje bli spora (Do Not Track / Global Privacy Control), så vi samlar ikkje statistikk om bruken din.',
+        collected: 'Dette har vi samla inn i denne økta',
+        nothing: 'Ingenting er samla inn i denne økta.',
+        policy: 'Personvernerklæring',
+        close: 'Lukk',
+    },
+    en_US: {
+        banner: 'We collect anonymous usage statistics to improve Oria. We do not store IP addresses or other information about you.',
+        ok: 'OK',
+        settings: 'Privacy',
+        title: 'Privacy and statistics',
+        optOut: 'Do not collect statistics about my use',
+        doNotTrack: 'Your browser asks not to be tracked (Do Not Track / Global Privacy Control), so we do not collect statistics about your use.',
+        collected: 'What we have collected in this session',
+        nothing: 'Nothing has been collected in this session.',
+        policy: 'Privacy policy',
+        close: 'Close',
+    },
+    se_NO: {
+        banner: 'Mii čohkket anonyma statistihka Oria geavaheamis vai sáhttit buoridit bálvalusa. Mii eat vurke IP-čujuhusaid dahje eará dieđuid du birra.',
+        ok: 'OK',
+        settings: 'Priváhtavuohta',
+        title: 'Priváhtavuohta ja statistihkka',
+        optOut: 'Ale čohkke statistihka mu geavaheamis',
+        doNotTrack: 'Du neahttalohkki bivdá ahte ii čuovvoluvvo (Do Not Track / Global Privacy Control), dan dihte mii eat čohkke statistihka du geavaheamis.',
+        collected: 'Dán leat mii čohkken dán áigodagas',
+        nothing: 'Mii eat leat čohkken maidege dán áigodagas.',
+        policy: 'Priváhtavuođajulggaštus',
+        close: 'Gidde',
+    },
+};
+
+class UioPrivacyBannerController {
+
+    constructor($state, consentService, loggingService, uioConfig) {
+        this.$state = $state;
+        this.consentService = consentService;
+        this.loggingService = loggingService;
+        this.policyUrl = uioConfig.privacy.policyUrl;
+
+        this.events = [];
+        this.expanded = null;
+    }
+
+    $onInit() {
+        this.optOut = this.consentService.isOptedOut();
+        this.doNotTrack = this.consentService.isDoNotTrack();
+    }
+
+    $doCheck() {
+        // Language can change at any time
+        let lang = this.$state.params.lang || this.loggingService.getUserLanguage();
+        if (lang !== this.lang) {
+            this.lang = lang;
+            this.strings = localize(strings, lang);
+        }
+
+        // The settings panel can be opened from the footer
+        if (this.consentService.settingsOpen && !this.settingsVisible) {
+            this.events = this.loggingService.getRecentEvents().reverse();
+        }
+        this.settingsVisible = this.consentService.settingsOpen;
+    }
+
+    showBanner() {
+        return !this.settingsVisible && this.consentService.shouldShowBanner();
+    }
+
+    dismiss() {
+        this.consentService.dismissBanner();
+    }
+
+    openSettings() {
+        this.consentService.openSettings();
+    }
+
+    closeSettings() {
+        this.consentService.closeSettings();
+    }
+
+    toggleOptOut() {
+        this.loggingService.setOptOut(this.optOut);
+        if (this.optOut) {
+            this.events = [];
+        }
+    }
+
+    toggleEvent(idx) {
+        this.expanded = this.expanded === idx ? null : idx;
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp * 1000).toLocaleTimeString();
+    }
+}
+
+UioPrivacyBannerController.$inject = ['$state', 'consentService', 'loggingService', 'uioConfig'];
+
+export default {
+    controller: UioPrivacyBannerController,
+    template: `
+    <div class="uio-privacy-banner" ng-if="$ctrl.showBanner()" role="region" aria-label="{{ $ctrl.strings.title }}">
+        <p>{{ $ctrl.strings.banner }}</p>
+        <md-button class="md-raised" ng-click="$ctrl.openSettings()">{{ $ctrl.strings.settings }}</md-button>
+        <md-button class="md-raised button-confirm" ng-click="$ctrl.dismiss()">{{ $ctrl.strings.ok }}</md-button>
+    </div>
+
+    <div class="uio-privacy-settings" ng-if="$ctrl.settingsVisible" role="dialog" aria-labelledby="uio-privacy-title">
+        <h2 id="uio-privacy-title" class="md-headline">{{ $ctrl.strings.title }}</h2>
+
+        <p ng-if="$ctrl.doNotTrack">{{ $ctrl.strings.doNotTrack }}</p>
+
+        <md-checkbox ng-model="$ctrl.optOut" ng-change="$ctrl.toggleOptOut()" aria-label="{{ $ctrl.strings.optOut }}">
+            {{ $ctrl.strings.optOut }}
+        </md-checkbox>
+
+        <h3>{{ $ctrl.strings.collected }}</h3>
+        <p ng-if="!$ctrl.events.length">{{ $ctrl.strings.nothing }}</p>
+        <ul class="uio-privacy-events">
+            <li ng-repeat="event in $ctrl.events">
+                <a href="" ng-click="$ctrl.toggleEvent($index)" aria-expanded="{{ $ctrl.expanded === $index }}">
+                    {{ $ctrl.formatTime(event.time) }}: {{ event.action }}
+                </a>
+                <pre ng-if="$ctrl.expanded === $index">{{ event.data | json }}</pre>
+            </li>
+        </ul>
+
+        <p><a ng-href="{{ $ctrl.policyUrl }}" target="_blank">{{ $ctrl.strings.policy }}</a></p>
+        <md-button class="md-raised button-confirm" ng-click="$ctrl.closeSettings()">{{ $ctrl.strings.close }}</md-button>
+    </div>
+    `,
+};
@@ -1,25 +1,188 @@
 
+// The panels opened by the action buttons
+const PANELS = {
+    'prm-citation': 'citation',
+    'prm-export-ris': 'ris',
+    'prm-export-bibtex': 'bibtex',
+    'prm-endnote': 'endnote',
+    'prm-refworks': 'refworks',
+    'prm-permalink': 'permalink',
+    'prm-send-email': 'email',
+    'prm-print-item': 'print',
+};
+
+// Controls in the panels. Clicks on anything else, like the close and cancel
+// buttons or the captcha, are not tracked.
+const CONTROLS = {
+    // The send button of the e-mail form
+    emailSubmit: 'button[type="submit"]',
+
+    // The citation styles, shown as tabs
+    citationStyle: 'md-tab-item, [role="tab"]',
+
+    // Close and cancel buttons in any panel
+    close: '.close-button, [aria-label="close"], [aria-label="Close"], [translate*="close"], [translate*="cancel"]',
+};
+
+// Primo's messages after sending an e-mail, by their translation keys. Form
+// validation messages (like a missing address) are not results.
+const EMAIL_RESULTS = {
+    success: '[translate^="email.popup."][translate*="success"]',
+    failure: '[translate^="email.popup."][translate*="fail"]',
+};
+
+// Milliseconds to wait for the result of sending an e-mail
+const EMAIL_RESULT_TIMEOUT = 15000;
+
 class PrmActionListAfterController {
-    constructor(loggingService, $document, $element) {
+    constructor(loggingService, primoService, $element, $window, $timeout) {
         // Note: action list can be part of results list OR record view.
-        $document.ready(() => {
-            let parentElement = $element.parent()[0];
-            let btns = angular.element(parentElement.querySelectorAll('#scrollActionList button'));
+        this.loggingService = loggingService;
+        this.primoService = primoService;
+        this.$element = $element;
+        this.$window = $window;
+        this.$timeout = $timeout;
 
-            if (!btns.length) {
-                console.error('Error: No action buttons found!');
+        // The action buttons and panels are re-rendered, for instance when
+        // expanding "more" actions, so we listen to clicks on the parent
+        // element rather than on the buttons themselves.
+        this.clickHandler = (evt) => {
+            let target = evt.target;
+            if (!target.closest) {
+                return;
             }
 
-            btns.on('click', (evt) => {
-                var sendToType = evt.currentTarget.querySelectorAll('.button-text')[0].getAttribute('translate');
-                let item = this.parentCtrl.item.split('.').pop();
-                loggingService.trackSendTo(sendToType, item);
-            });
+            let actionBtn = target.closest('#scrollActionList button');
+            if (actionBtn) {
+                let text = actionBtn.querySelector('.button-text');
+                let sendToType = text ? text.getAttribute('translate') : null;
+                this.loggingService.trackSendTo(sendToType, this.getRecord());
+                return;
+            }
+
+            let btn = target.closest('button, a, md-tab-item, [role="tab"]');
+            if (btn) {
+                this.trackPanelClick(btn);
+            }
+        };
+    }
+
+    $postLink() {
+        this.parentElement = this.$element.parent()[0];
+        this.parentElement.addEventListener('click', this.clickHandler, {passive: true, capture: true});
+
+        this.$timeout(() => {
+            if (!this.parentElement.querySelectorAll('#scrollActionList button').length) {
+                this.loggingService.trackError('No action buttons found');
+            }
+        });
+    }
+
+    $onDestroy() {
+        if (this.parentElement) {
+            this.parentElement.removeEventListener('click', this.clickHandler, {passive: true, capture: true});
+        }
+        if (this.emailObserver) {
+            this.emailObserver.disconnect();
+            this.$window.clearTimeout(this.emailTimer);
+        }
+    }
+
+    getRecord() {
+        return this.primoService.getRecord(this.parentCtrl);
+    }
+
+    findPanel(el) {
+        let tags = Object.keys(PANELS);
+        for (let i = 0; i < tags.length; i++) {
+            let panel = el.closest(tags[i]);
+            if (panel) {
+                return {element: panel, service: PANELS[tags[i]]};
+            }
+        }
+        return null;
+    }
+
+    getLabel(el) {
+        let translated = el.hasAttribute('translate') ? el : el.querySelector('[translate]');
+        if (translated) {
+            return translated.getAttribute('translate');
+        }
+        return el.textContent.trim().substr(0, 100);
+    }
+
+    /**
+     * Whether the element, or an element inside it, matches the selector.
+     */
+    matches(el, selector) {
+        return el.matches(selector) || !!el.querySelector(selector);
+    }
+
+    /**
+     * Track clicks inside an action panel: the citation style chosen, copy,
+     * download, print and send buttons.
+     */
+    trackPanelClick(btn) {
+        let panel = this.findPanel(btn);
+        if (!panel || this.matches(btn, CONTROLS.close)) {
+            return;
+        }
+        let label = this.getLabel(btn);
+        let item = this.getRecord();
+
+        if (/copy/i.test(label) || btn.closest('[class*="copy"]')) {
+            this.loggingService.trackSendToChoice(panel.service, 'copy', label, item);
+        } else if (panel.service == 'email') {
+            if (btn.matches(CONTROLS.emailSubmit)) {
+                this.loggingService.trackSendToChoice('email', 'submit', label, item);
+                // An invalid form isn't sent, Primo just shows the validation messages
+                let form = btn.closest('form');
+                if (!form || !form.classList.contains('ng-invalid')) {
+                    this.watchEmailResult(panel.element);
+                }
+            }
+        } else if (panel.service == 'citation') {
+            if (btn.matches(CONTROLS.citationStyle)) {
+                this.loggingService.trackSendToChoice('citation', 'style', label, item);
+            }
+        } else if (panel.service == 'print') {
+            this.loggingService.trackSendToChoice('print', 'print', label, item);
+        } else {
+            // Download / export
+            this.loggingService.trackSendToChoice(panel.service, 'export', label, item);
+        }
+    }
+
+    /**
+     * Primo doesn't tell us whether an e-mail was sent, but it shows a
+     * success or failure message in the panel, so after a submit, we watch
+     * for that.
+     */
+    watchEmailResult(panelElement) {
+        if (!this.$window.MutationObserver || this.emailObserver) {
+            return;
+        }
+        let item = this.getRecord();
+        let done = (result) => {
+            this.emailObserver.disconnect();
+            this.emailObserver = null;
+            this.$window.clearTimeout(this.emailTimer);
+            this.loggingService.trackSendToChoice('email', 'result', result, item);
+        };
+        this.emailTimer = this.$window.setTimeout(() => done('unknown'), EMAIL_RESULT_TIMEOUT);
+
+        this.emailObserver = new this.$window.MutationObserver(() => {
+            if (panelElement.querySelector(EMAIL_RESULTS.success)) {
+                done('success');
+            } else if (panelElement.querySelector(EMAIL_RESULTS.failure)) {
+                done('failure');
+            }
         });
+        this.emailObserver.observe(panelElement, {childList: true, subtree: true});
     }
 }
 
-PrmActionListAfterController.$inject = ['loggingService', '$document', '$element'];
+PrmActionListAfterController.$inject = ['loggingService', 'primoService', '$element', '$window', '$timeout'];
 
 export default {
     bindings: {parentCtrl: '<'},
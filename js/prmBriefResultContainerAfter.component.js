@@ -1,17 +1,128 @@
 
+// Parts of the brief result we distinguish between when the user clicks
+const CLICK_TARGETS = [
+    ['title', '.item-title'],
+    ['thumbnail', 'prm-search-result-thumbnail-container'],
+    ['availability', 'prm-search-result-availability-line'],
+    ['favorites', 'prm-save-to-favorites-button'],
+    ['actions', 'prm-search-result-tool-bar'],
+];
+
+// Part of the result that must be within the viewport to count as visible
+const VISIBILITY_THRESHOLD = 0.5;
+
 class PrmBriefResultContainerAfterController {
-    constructor() {
-        // let item = this.parentCtrl.item;
-        //loggingService.trackViewRecord(item);
-        // console.log('brief result', this.parentCtrl)
+    constructor(loggingService, primoService, $scope, $element, $window, $timeout) {
+        this.loggingService = loggingService;
+        this.primoService = primoService;
+        this.$element = $element;
+        this.$window = $window;
+        this.$timeout = $timeout;
+
+        this.observer = null;
+        this.visibleSince = null;
+        this.visibleTime = 0;
+        this.seen = false;
+        this.impressionSent = false;
+
+        // Position in the search results, captured while the result is shown.
+        // By the time the component is destroyed, the next search might
+        // already have replaced the positions.
+        this.position = null;
+
+        // The page is about to be unloaded, so $onDestroy won't be called
+        $scope.$on('uioPageHide', () => {
+            this.pauseTimer();
+            this.sendImpression();
+        });
+
+        this.clickHandler = (evt) => {
+            let target = this.getClickTarget(evt.target);
+            if (target == 'favorites') {
+                // Tracked by prmSaveToFavoritesButtonAfter
+                return;
+            }
+            this.loggingService.trackResultClick(this.getRecord(), this.getPosition(), target);
+        };
+    }
+
+    $postLink() {
+        this.linkTimer = this.$timeout(() => {
+            this.capturePosition();
+            this.container = this.$element.parent()[0];
+            this.container.addEventListener('click', this.clickHandler, {passive: true, capture: true});
+
+            if (this.$window.IntersectionObserver) {
+                this.observer = new this.$window.IntersectionObserver((entries) => {
+                    entries.forEach(entry => {
+                        if (entry.isIntersecting) {
+                            this.capturePosition();
+                            this.seen = true;
+                            this.visibleSince = this.visibleSince || Date.now();
+                        } else {
+                            this.pauseTimer();
+                        }
+                    });
+                }, {threshold: VISIBILITY_THRESHOLD});
+                this.observer.observe(this.container);
+            }
+        });
+    }
+
+    getClickTarget(el) {
+        for (let i = 0; i < CLICK_TARGETS.length; i++) {
+            if (el.closest && el.closest(CLICK_TARGETS[i][1])) {
+                return CLICK_TARGETS[i][0];
+            }
+        }
+        return 'other';
+    }
+
+    getRecord() {
+        return this.primoService.getRecord(this.parentCtrl);
+    }
+
+    getPosition() {
+        return this.position || this.loggingService.getResultPosition(this.getRecord(), this.primoService.getResultIndex(this.parentCtrl));
+    }
+
+    /**
+     * Remember the position as soon as it's known from the search results.
+     */
+    capturePosition() {
+        if (!this.position || !this.position.search_action_no) {
+            this.position = this.loggingService.getResultPosition(this.getRecord(), this.primoService.getResultIndex(this.parentCtrl));
+        }
+    }
+
+    sendImpression() {
+        if (this.seen && !this.impressionSent) {
+            this.impressionSent = true;
+            this.loggingService.trackResultImpression(this.getRecord(), this.getPosition(), this.visibleTime);
+        }
+    }
+
+    pauseTimer() {
+        if (this.visibleSince) {
+            this.visibleTime += Date.now() - this.visibleSince;
+            this.visibleSince = null;
+        }
+    }
 
-        // $document.ready(() => {
-        //     console.log('GNU', this);
-        // });
+    $onDestroy() {
+        this.$timeout.cancel(this.linkTimer);
+        if (this.container) {
+            this.container.removeEventListener('click', this.clickHandler, {passive: true, capture: true});
+        }
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        this.pauseTimer();
+        this.sendImpression();
     }
 }
 
-PrmBriefResultContainerAfterController.$inject = [];
+PrmBriefResultContainerAfterController.$inject = ['loggingService', 'primoService', '$scope', '$element', '$window', '$timeout'];
 
 export default {
     bindings: {parentCtrl: '<'},
@@ -1,19 +1,98 @@
-import get from 'lodash/get';
+
+// Browse types, by browse scope
+const BROWSE_TYPES = [
+    ['call_number', /^callnumber/],
+    ['author', /^(?:author|creator)/],
+    ['subject', /^subject/],
+    ['title', /^title/],
+];
+
+// Paging buttons and headings in the browse result list
+const PREVIOUS_SELECTOR = '[translate*="prev"], .prev, .previous';
+const NEXT_SELECTOR = '[translate*="next"], .next';
+const HEADING_SELECTOR = 'prm-browse-result-list a, prm-browse-result-list [role="link"]';
 
 class PrmBrowseSearchAfterController {
 
-    constructor($scope, $window, $element, $timeout, $document, $rootScope, loggingService) {
+    constructor($scope, $element, $state, $document, loggingService, primoService) {
+        this.$element = $element;
+        this.$state = $state;
+        this.loggingService = loggingService;
+        this.primoService = primoService;
+
+        // Paging changes the state parameters, with or without reloading
+        // this component, so we watch them rather than tracking once.
         $document.ready(() => {
-            let data = {
-                input: this.parentCtrl.browseSearchBarService.searchBarInput,
-                scope: this.parentCtrl.browseSearchService.searchedScope,
-            };
-            loggingService.trackBrowse(data);
+            $scope.$watchGroup([
+                () => $state.params.browseQuery,
+                () => $state.params.browseScope,
+            ], () => this.trackBrowse());
+        });
+
+        this.clickHandler = (evt) => {
+            let target = evt.target;
+            if (!target.closest) {
+                return;
+            }
+            if (target.closest(PREVIOUS_SELECTOR)) {
+                this.loggingService.setBrowseDirection('previous');
+            } else if (target.closest(NEXT_SELECTOR)) {
+                this.loggingService.setBrowseDirection('next');
+            } else {
+                let heading = target.closest(HEADING_SELECTOR);
+                if (heading) {
+                    this.trackHeading(heading);
+                }
+            }
+        };
+    }
+
+    $postLink() {
+        this.parentElement = this.$element.parent()[0];
+        this.parentElement.addEventListener('click', this.clickHandler, {passive: true, capture: true});
+    }
+
+    $onDestroy() {
+        if (this.parentElement) {
+            this.parentElement.removeEventListener('click', this.clickHandler, {passive: true, capture: true});
+        }
+    }
+
+    getBrowseType(scope) {
+        for (let i = 0; i < BROWSE_TYPES.length; i++) {
+            if (BROWSE_TYPES[i][1].test(scope || '')) {
+                return BROWSE_TYPES[i][0];
+            }
+        }
+        return scope || null;
+    }
+
+    trackBrowse() {
+        let browse = this.primoService.getBrowse(this.parentCtrl);
+        let scope = this.$state.params.browseScope || browse.scope;
+        let query = this.$state.params.browseQuery || browse.input;
+        if (!query) {
+            return;
+        }
+        this.loggingService.trackBrowse({
+            input: browse.input,
+            scope: scope,
+            type: this.getBrowseType(scope),
+            query: query,
+        });
+    }
+
+    trackHeading(heading) {
+        let headings = [].slice.call(this.parentElement.querySelectorAll(HEADING_SELECTOR));
+        this.loggingService.trackBrowseSelect({
+            heading: heading.textContent.trim().substr(0, 200),
+            position: headings.indexOf(heading) + 1,
+            count: headings.length,
         });
     }
 }
 
-PrmBrowseSearchAfterController.$inject = ['$scope', '$window', '$element', '$timeout', '$document', '$rootScope', 'loggingService'];
+PrmBrowseSearchAfterController.$inject = ['$scope', '$element', '$state', '$document', 'loggingService', 'primoService'];
 
 export default {
     // The < symbol denotes one-way bindings which are available since 1.5.
@@ -0,0 +1,160 @@
+
+// Parts of the facet sidebar. The facet groups (prmFacetGroup) and the active
+// filters (prmBreadcrumbs) are all rendered inside prmFacet, and re-rendered
+// on each search, so we listen to clicks on prmFacet rather than hooking each
+// group.
+const GROUP_SELECTOR = 'prm-facet-group';
+const GROUP_TOGGLE_SELECTOR = 'button.section-title, .section-title button';
+const GROUP_TITLE_SELECTOR = '[translate^="facets.facet."]';
+const VALUE_SELECTOR = '.md-chip';
+const VALUE_TEXT_SELECTOR = '[dir="auto"], strong';
+const VALUE_COUNT_SELECTOR = '.facet-counter';
+const EXCLUDE_SELECTOR = '.facet-exclude, .button-exclude, [aria-label*="xclude"]';
+const SHOW_MORE_SELECTOR = '[translate*="show_more"], [translate*="showmore"], .more-facets-button';
+const BREADCRUMBS_SELECTOR = 'prm-breadcrumbs';
+
+// Each facet value has a class like `facet-element-marker-local20`, named
+// like the facets in the search URL
+const MARKER_CLASS = /\bfacet-element-marker-(\S+)/;
+
+class PrmFacetAfterController {
+
+    constructor($element, loggingService) {
+        this.$element = $element;
+        this.loggingService = loggingService;
+
+        this.clickHandler = (evt) => {
+            let target = evt.target;
+            if (!target.closest) {
+                return;
+            }
+
+            if (target.closest(BREADCRUMBS_SELECTOR)) {
+                this.trackBreadcrumbClick(target);
+                return;
+            }
+
+            let group = target.closest(GROUP_SELECTOR);
+            if (!group) {
+                return;
+            }
+
+            let toggle = target.closest(GROUP_TOGGLE_SELECTOR);
+            if (toggle) {
+                // We see the button before Primo handles the click
+                let expanded = toggle.getAttribute('aria-expanded') != 'true';
+                this.loggingService.trackFacetGroupToggle(this.getGroupName(group), expanded, this.getGroupPosition(group));
+                return;
+            }
+
+            if (target.closest(SHOW_MORE_SELECTOR)) {
+                this.loggingService.trackFacetShowMore(this.getGroupName(group), group.querySelectorAll(VALUE_SELECTOR).length);
+                return;
+            }
+
+            let chip = target.closest(VALUE_SELECTOR);
+            if (chip) {
+                let facet = this.getFacet(chip, group);
+                facet.type = this.getType(target);
+                facet.count = this.getCount(chip);
+                facet.position = this.getValuePosition(chip, group);
+                facet.group_position = this.getGroupPosition(group);
+                this.loggingService.trackFacetSelect(facet);
+            }
+        };
+    }
+
+    $postLink() {
+        this.parentElement = this.$element.parent()[0];
+        this.parentElement.addEventListener('click', this.clickHandler, {passive: true, capture: true});
+    }
+
+    $onDestroy() {
+        if (this.parentElement) {
+            this.parentElement.removeEventListener('click', this.clickHandler, {passive: true, capture: true});
+        }
+    }
+
+    /**
+     * Clicking an active filter chip removes it. Other buttons in the
+     * breadcrumbs (like "remove all") are tracked without a facet.
+     */
+    trackBreadcrumbClick(target) {
+        let btn = target.closest('button, a');
+        if (!btn) {
+            return;
+        }
+        let chip = btn.closest(VALUE_SELECTOR);
+        let facet = chip ? this.getFacet(chip, null) : {group: null, value: null};
+        facet.type = chip && chip.querySelector(EXCLUDE_SELECTOR) ? 'exclude' : null;
+        this.loggingService.trackFacetRemove(facet);
+    }
+
+    /**
+     * The facet group name, like 'local20' or 'rtype'. Taken from the title
+     * translation key, or from the values of the group.
+     */
+    getGroupName(group) {
+        let title = group.querySelector(GROUP_TITLE_SELECTOR);
+        if (title) {
+            return title.getAttribute('translate').replace(/^facets\.facet\./, '').replace(/^facet_/, '');
+        }
+        let chip = group.querySelector(VALUE_SELECTOR);
+        return chip ? this.getMarker(chip) : null;
+    }
+
+    getMarker(chip) {
+        let match = (chip.getAttribute('class') || '').match(MARKER_CLASS);
+        return match ? match[1].replace(/^facet_/, '') : null;
+    }
+
+    getFacet(chip, group) {
+        let text = chip.querySelector(VALUE_TEXT_SELECTOR) || chip;
+        return {
+            group: this.getMarker(chip) || (group ? this.getGroupName(group) : null),
+            value: (text.getAttribute('title') || text.textContent).trim(),
+        };
+    }
+
+    /**
+     * 'exclude' if the exclude button was clicked, 'select' if the checkbox
+     * for selecting multiple values was clicked, otherwise 'include'.
+     */
+    getType(target) {
+        if (target.closest(EXCLUDE_SELECTOR)) {
+            return 'exclude';
+        }
+        if (target.closest('md-checkbox')) {
+            return 'select';
+        }
+        return 'include';
+    }
+
+    getCount(chip) {
+        let counter = chip.querySelector(VALUE_COUNT_SELECTOR);
+        let count = counter ? parseInt(counter.textContent.replace(/\D/g, '')) : NaN;
+        return isNaN(count) ? null : count;
+    }
+
+    /**
+     * Position of the value within its group, starting at 1.
+     */
+    getValuePosition(chip, group) {
+        return [].indexOf.call(group.querySelectorAll(VALUE_SELECTOR), chip) + 1;
+    }
+
+    /**
+     * Position of the group in the sidebar, starting at 1.
+     */
+    getGroupPosition(group) {
+        return [].indexOf.call(this.parentElement.querySelectorAll(GROUP_SELECTOR), group) + 1;
+    }
+}
+
+PrmFacetAfterController.$inject = ['$element', 'loggingService'];
+
+export default {
+    bindings: {parentCtrl: '<'},
+    controller: PrmFacetAfterController,
+    template: '',
+};
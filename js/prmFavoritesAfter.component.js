@@ -0,0 +1,64 @@
+
+// Favourites page actions we track, by the element containing the button.
+// Pinning and unpinning is tracked by prmSaveToFavoritesButtonAfter.
+const ACTION_CONTAINERS = [
+    ['labels', 'prm-favorites-labels'],
+    ['edit_labels', 'prm-favorites-edit-labels-menu'],
+    ['labels', 'prm-favorites-record-labels'],
+    ['toolbar', 'prm-favorites-tool-bar'],
+];
+
+class PrmFavoritesAfterController {
+
+    constructor($element, loggingService) {
+        this.$element = $element;
+        this.loggingService = loggingService;
+
+        this.clickHandler = (evt) => {
+            let btn = evt.target.closest ? evt.target.closest('button, a, md-checkbox') : null;
+            if (!btn || btn.closest('prm-save-to-favorites-button')) {
+                return;
+            }
+            for (let i = 0; i < ACTION_CONTAINERS.length; i++) {
+                if (btn.closest(ACTION_CONTAINERS[i][1])) {
+                    this.loggingService.trackFavoritesAction(ACTION_CONTAINERS[i][0], this.getButtonName(btn));
+                    return;
+                }
+            }
+        };
+    }
+
+    /**
+     * Identify the button by its translation key (like prmActionListAfter),
+     * aria-label or text, in that order.
+     */
+    getButtonName(btn) {
+        let translated = btn.querySelector('[translate]');
+        if (translated) {
+            return translated.getAttribute('translate');
+        }
+        if (btn.hasAttribute('translate')) {
+            return btn.getAttribute('translate');
+        }
+        return btn.getAttribute('aria-label') || btn.textContent.trim().substr(0, 50);
+    }
+
+    $postLink() {
+        this.parentElement = this.$element.parent()[0];
+        this.parentElement.addEventListener('click', this.clickHandler, {passive: true, capture: true});
+    }
+
+    $onDestroy() {
+        if (this.parentElement) {
+            this.parentElement.removeEventListener('click', this.clickHandler, {passive: true, capture: true});
+        }
+    }
+}
+
+PrmFavoritesAfterController.$inject = ['$element', 'loggingService'];
+
+export default {
+    bindings: {parentCtrl: '<'},
+    controller: PrmFavoritesAfterController,
+    template: '',
+};
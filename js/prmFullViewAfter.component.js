@@ -1,20 +1,195 @@
 
+// Full view sections we want to know whether the user has seen
+const SECTIONS = {
+    get_it: '#getit_link1_0',
+    view_it: '#getit_link2',
+    details: '#details',
+    links: '#links',
+    virtual_browse: '#virtualBrowse',
+};
+
+// Links to full text are found in the View It section
+const FULLTEXT_SELECTOR = `${SECTIONS.view_it} a, prm-view-online a`;
+
 class PrmFullViewAfterController {
-    constructor(loggingService) {
+    constructor(loggingService, primoService, accessibilityService, $element, $window, $timeout) {
         this.loggingService = loggingService;
-        this.item = this.parentCtrl.item;
+        this.accessibilityService = accessibilityService;
+        this.$element = $element;
+        this.$window = $window;
+        this.$timeout = $timeout;
+
+        this.item = primoService.getRecord(this.parentCtrl);
         this.loggingService.trackViewRecord(this.item);
+
+        // Active dwell time, excluding time the tab was hidden
+        this.created = Date.now();
+        this.activeSince = $window.document.visibilityState == 'hidden' ? null : this.created;
+        this.activeTime = 0;
+
+        this.scrollDepth = 0;
+        this.sectionsSeen = [];
+        this.fulltextClicked = false;
+        this.observer = null;
+        this.mutationObserver = null;
+
+        this.visibilityHandler = () => {
+            if ($window.document.visibilityState == 'hidden') {
+                this.pauseTimer();
+            } else if (!this.activeSince) {
+                this.activeSince = Date.now();
+            }
+        };
+
+        this.scrollHandler = () => {
+            this.scrollDepth = Math.max(this.scrollDepth, this.getScrollDepth());
+            this.observeSections();
+        };
+
+        this.clickHandler = (evt) => {
+            let link = evt.target.closest ? evt.target.closest('a') : null;
+            if (link && this.matches(link, FULLTEXT_SELECTOR)) {
+                this.fulltextClicked = true;
+            }
+        };
+    }
+
+    $postLink() {
+        this.linkTimer = this.$timeout(() => {
+            this.container = this.$element.parent()[0];
+            this.scrollElement = this.findScrollElement(this.container);
+
+            this.$window.document.addEventListener('visibilitychange', this.visibilityHandler);
+            (this.scrollElement || this.$window).addEventListener('scroll', this.scrollHandler, {passive: true});
+            this.container.addEventListener('click', this.clickHandler, {passive: true, capture: true});
+
+            if (this.$window.IntersectionObserver) {
+                this.observer = new this.$window.IntersectionObserver((entries) => {
+                    entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                        let name = entry.target.getAttribute('data-uio-section');
+                        if (this.sectionsSeen.indexOf(name) == -1) {
+                            this.sectionsSeen.push(name);
+                        }
+                        this.observer.unobserve(entry.target);
+                    });
+                });
+            }
+
+            // Get It and View It are rendered when the delivery information
+            // has loaded, which may be after the user has stopped scrolling
+            if (this.observer && this.$window.MutationObserver) {
+                this.mutationObserver = new this.$window.MutationObserver(() => this.observeSections());
+                this.mutationObserver.observe(this.container, {childList: true, subtree: true});
+            }
+
+            this.scrollHandler();
+        });
+    }
+
+    /**
+     * Observe the sections that have been rendered, but not yet observed.
+     * The sections are rendered lazily or asynchronously, so this is repeated
+     * on scroll and when the content changes, until all are found.
+     */
+    observeSections() {
+        if (!this.observer) {
+            return;
+        }
+        let found = 0;
+        Object.keys(SECTIONS).forEach(name => {
+            let el = this.container.querySelector(SECTIONS[name]);
+            if (el) {
+                found++;
+                if (!el.hasAttribute('data-uio-section')) {
+                    el.setAttribute('data-uio-section', name);
+                    this.observer.observe(el);
+                }
+            }
+        });
+        if (found == Object.keys(SECTIONS).length && this.mutationObserver) {
+            this.mutationObserver.disconnect();
+            this.mutationObserver = null;
+        }
+    }
+
+    /**
+     * The full view is either shown in a dialog with its own scroll
+     * container, or as a page scrolled by the window.
+     */
+    findScrollElement(el) {
+        while (el && el !== this.$window.document.body) {
+            let overflow = this.$window.getComputedStyle(el).overflowY;
+            if (overflow == 'auto' || overflow == 'scroll') {
+                return el;
+            }
+            el = el.parentElement;
+        }
+        return null;
+    }
+
+    getScrollDepth() {
+        let el = this.scrollElement;
+        let top, height, total;
+        if (el) {
+            top = el.scrollTop;
+            height = el.clientHeight;
+            total = el.scrollHeight;
+        } else {
+            top = this.$window.pageYOffset;
+            height = this.$window.innerHeight;
+            total = this.$window.document.documentElement.scrollHeight;
+        }
+        if (!total) {
+            return 0;
+        }
+        return Math.min(100, Math.round(100 * (top + height) / total));
+    }
+
+    matches(el, selector) {
+        let fn = el.matches || el.msMatchesSelector;
+        return fn.call(el, selector);
+    }
+
+    pauseTimer() {
+        if (this.activeSince) {
+            this.activeTime += Date.now() - this.activeSince;
+            this.activeSince = null;
+        }
     }
 
     $onDestroy() {
-        this.loggingService.leaveViewRecord(this.item);
+        this.$timeout.cancel(this.linkTimer);
+        this.pauseTimer();
+
+        this.$window.document.removeEventListener('visibilitychange', this.visibilityHandler);
+        if (this.container) {
+            (this.scrollElement || this.$window).removeEventListener('scroll', this.scrollHandler, {passive: true});
+            this.container.removeEventListener('click', this.clickHandler, {passive: true, capture: true});
+        }
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+        }
+
+        this.loggingService.leaveViewRecord(this.item, {
+            dwell_time: Math.round(this.activeTime / 1000),
+            total_time: Math.round((Date.now() - this.created) / 1000),
+            scroll_depth: this.scrollDepth,
+            sections_seen: this.sectionsSeen,
+            fulltext_clicked: this.fulltextClicked,
+        });
+
+        // Back to the result the full record was opened from
+        this.accessibilityService.restoreFocus();
     }
 }
 
-PrmFullViewAfterController.$inject = ['loggingService'];
+PrmFullViewAfterController.$inject = ['loggingService', 'primoService', 'accessibilityService', '$element', '$window', '$timeout'];
 
 export default {
     bindings: {parentCtrl: '<'},
     controller: PrmFullViewAfterController,
-    template: '',
+    template: '<uio-subject-panel record="$ctrl.item"></uio-subject-panel>',
 };
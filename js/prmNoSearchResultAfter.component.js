@@ -1,72 +1,266 @@
 /**
+ * Replaces the "no results" page with a card offering one-click retries,
+ * searches in other scopes and external services. Which option the user
+ * chooses is logged as a `no_results_recovery` event.
+ *
  * Adopted from a version by @SarahZum
  * https://github.com/SarahZum/primo-explore-custom-no-results
  */
 
+import { localize, format } from './i18n';
+import { parseSearchParams, serializeSearchParams, queryTerms } from './query';
+
+const strings = {
+    no_NO: {
+        title: 'Ingen treff',
+        noResults: 'Søket ditt ga ingen treff:',
+        tryAgain: 'Prøv igjen',
+        everything: 'Søk i «Alt»',
+        bibsys: 'Søk i alle norske fag- og forskningsbibliotek',
+        dropFacets: 'Fjern avgrensninger',
+        anyField: 'Søk i alle felt',
+        removeQuotes: 'Fjern anførselstegn',
+        normalized: 'Søk etter «{query}»',
+        elsewhere: 'Søk andre steder',
+        suggestions: 'Tips:',
+        spelling: 'Sjekk at alle ord er riktig stavet.',
+        general: 'Prøv mer generelle eller færre søkeord.',
+        help: 'Spør biblioteket',
+    },
+    nn_NO: {
+        title: 'Ingen treff',
+        noResults: 'Søket ditt gav ingen treff:',
+        tryAgain: 'Prøv igjen',
+        everything: 'Søk i «Alt»',
+        bibsys: 'Søk i alle norske fag- og forskingsbibliotek',
+        dropFacets: 'Fjern avgrensingar',
+        anyField: 'Søk i alle felt',
+        removeQuotes: 'Fjern hermeteikn',
+        normalized: 'Søk etter «{query}»',
+        elsewhere: 'Søk andre stader',
+        suggestions: 'Tips:',
+        spelling: 'Sjekk at alle orda er rett stava.',
+        general: 'Prøv meir generelle eller færre søkjeord.',
+        help: 'Spør biblioteket',
+    },
+    en_US: {
+        title: 'No records found',
+        noResults: 'There are no results matching your search:',
+        tryAgain: 'Try again',
+        everything: 'Search "Everything"',
+        bibsys: 'Search all Norwegian research libraries',
+        dropFacets: 'Remove filters',
+        anyField: 'Search in all fields',
+        removeQuotes: 'Remove quotation marks',
+        normalized: 'Search for "{query}"',
+        elsewhere: 'Search elsewhere',
+        suggestions: 'Suggestions:',
+        spelling: 'Make sure that all words are spelled correctly.',
+        general: 'Try more general or fewer search terms.',
+        help: 'Ask the library',
+    },
+    se_NO: {
+        title: 'Ii gávdnon mihkkege',
+        noResults: 'Du ohcan ii addán bohtosiid:',
+        tryAgain: 'Geahččal ođđasit',
+        everything: 'Oza «Buot»',
+        bibsys: 'Oza buot norgga dieđalaš girjerájuin',
+        dropFacets: 'Sihko ráddjemiid',
+        anyField: 'Oza buot gieddiin',
+        removeQuotes: 'Sihko čuoldinmearkkaid',
+        normalized: 'Oza «{query}»',
+        elsewhere: 'Oza eará sajiin',
+        suggestions: 'Rávvagat:',
+        spelling: 'Dárkkis ahte buot sánit leat riekta čállojuvvon.',
+        general: 'Geahččal eanet oppalaš dahje unnit ohcansániid.',
+        help: 'Jeara girjerádjosis',
+    },
+};
+
+/**
+ * Recovery options. Each option takes the parsed search parameters and
+ * returns the changes to make, or null if the option doesn't apply.
+ */
+
+function dropFacets(ast) {
+    let parts = ast.query.parts.filter(part => !part.field.match(/^facet_/));
+    if (parts.length == ast.query.parts.length && !ast.pfilter.parts.length && !ast.facet.facets.length) {
+        return null;
+    }
+    return {
+        query: Object.assign({}, ast.query, {parts: parts}),
+        pfilter: Object.assign({}, ast.pfilter, {parts: []}),
+        facet: Object.assign({}, ast.facet, {facets: []}),
+    };
+}
+
+function mapTerms(ast, fn) {
+    let changed = false;
+    let parts = ast.query.parts.map(part => {
+        if (part.field.match(/^facet_/)) {
+            return part;
+        }
+        let newPart = fn(Object.assign({}, part));
+        changed = changed || ['field', 'precision', 'term'].some(key => newPart[key] != part[key]);
+        return newPart;
+    });
+    return changed ? {query: Object.assign({}, ast.query, {parts: parts})} : null;
+}
+
+function anyField(ast) {
+    return mapTerms(ast, part => Object.assign(part, {field: 'any', precision: 'contains'}));
+}
+
+function removeQuotes(ast) {
+    return mapTerms(ast, part => Object.assign(part, {term: part.term.replace(/["«»“”]/g, '').trim()}));
+}
+
+// Languages where letters like č, š and ž are letters of their own, not
+// accented letters, so accents are kept when normalizing.
+const KEEP_ACCENTS = ['se_NO'];
+
+/**
+ * Simple spelling normalization: Remove punctuation and accents, except for
+ * the ring in å, and any accents in the KEEP_ACCENTS languages.
+ */
+function normalizeTerm(term, lang) {
+    if (term.normalize && KEEP_ACCENTS.indexOf(lang) == -1) {
+        term = term.normalize('NFD')
+            .replace(/([aA])\u030a/g, '$1\ue000')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\ue000/g, '\u030a')
+            .normalize('NFC');
+    }
+    return term
+        .replace(/[.,:;!?()[\]{}]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function normalizeSpelling(ast, lang) {
+    return mapTerms(ast, part => Object.assign(part, {term: normalizeTerm(part.term, lang)}));
+}
+
 class PrmNoSearchResultAfterController {
-    constructor(loggingService) {
-        loggingService.noResultsPageLoaded();
-
-        // var vm = this;
-        // vm.pciSetting = vm.parentCtrl.searchStateService.searchObject.pcAvailability || '';
-        // condole.log(vm.parentCtrl.searchStateService.searchObject);
-        // vm.getSearchTerm = function getSearchTerm() {
-        //   return vm.parentCtrl.term;
-        // };
+    constructor(loggingService, uioConfig, $state) {
+        this.loggingService = loggingService;
+        this.config = uioConfig.noResults;
+        this.$state = $state;
+    }
+
+    $onInit() {
+        let params = this.$state.params;
+        let ast = parseSearchParams(params);
+
+        this.lang = params.lang || this.loggingService.getUserLanguage();
+        this.strings = localize(strings, this.lang);
+
+        this.terms = queryTerms(ast.query);
+        this.queryText = this.terms.map(term => term.term).join(' ');
+
+        this.options = this.buildOptions(params, ast);
+        this.external = this.config.external.map(service => ({
+            id: service.id,
+            label: service.label,
+            href: format(service.url, {query: encodeURIComponent(this.queryText)}),
+        }));
+    }
+
+    searchHref(params, changes) {
+        let newParams = Object.assign({}, params, {offset: 0}, changes);
+        return this.$state.href('exploreMain.search', newParams);
+    }
+
+    buildOptions(params, ast) {
+        let options = [];
+
+        let addSearchOption = (id, label, fn) => {
+            let changes = fn(ast);
+            if (changes) {
+                let newParams = serializeSearchParams(Object.assign({}, ast, changes));
+                options.push({
+                    id: id,
+                    label: label,
+                    href: this.searchHref(params, {
+                        query: newParams.query,
+                        pfilter: newParams.pfilter,
+                        facet: newParams.facet,
+                    }),
+                });
+            }
+        };
+
+        let addScopeOption = (id) => {
+            let scope = this.config.scopes[id];
+            if (params.search_scope != scope.search_scope) {
+                options.push({
+                    id: id,
+                    label: this.strings[id],
+                    href: this.searchHref(params, scope),
+                });
+            }
+        };
+
+        addScopeOption('everything');
+        addScopeOption('bibsys');
+        addSearchOption('drop_facets', this.strings.dropFacets, dropFacets);
+        addSearchOption('any_field', this.strings.anyField, anyField);
+        addSearchOption('remove_quotes', this.strings.removeQuotes, removeQuotes);
+
+        let normalize = ast => normalizeSpelling(ast, this.lang);
+        let normalized = normalize(ast);
+        if (normalized) {
+            let query = queryTerms(normalized.query).map(term => term.term).join(' ');
+            addSearchOption('normalize_spelling', format(this.strings.normalized, {query: query}), normalize);
+        }
+
+        return options;
+    }
+
+    choose(option) {
+        this.loggingService.trackNoResultsRecovery(option.id, this.options.map(x => x.id));
     }
 }
 
-PrmNoSearchResultAfterController.$inject = ['loggingService'];
+PrmNoSearchResultAfterController.$inject = ['loggingService', 'uioConfig', '$state'];
 
 export default {
     bindings: {parentCtrl: '<'},
     controller: PrmNoSearchResultAfterController,
-    template: '',
-};
+    template: `
+    <md-card class="default-card zero-margin uio-no-results">
+        <md-card-title>
+            <md-card-title-text>
+                <span class="md-headline">{{ $ctrl.strings.title }}</span>
+            </md-card-title-text>
+        </md-card-title>
+        <md-card-content>
+            <p>{{ $ctrl.strings.noResults }}</p>
+            <blockquote><i>{{ $ctrl.queryText }}</i></blockquote>
+
+            <div ng-if="$ctrl.options.length">
+                <p class="bold-text">{{ $ctrl.strings.tryAgain }}</p>
+                <ul>
+                    <li ng-repeat="option in $ctrl.options">
+                        <a ng-href="{{ option.href }}" ng-click="$ctrl.choose(option)">{{ option.label }}</a>
+                    </li>
+                </ul>
+            </div>
 
-// export default {
-//   bindings: {parentCtrl: '<'},
-//   controller: PrmNoSearchResultAfterController,
-//   controllerAs: 'vm',
-//   template: `
-//     <md-card class="default-card zero-margin _md md-primoExplore-theme">
-//     <md-card-title>
-//       <md-card-title-text>
-//         <span translate="" class="md-headline ng-scope">No records found</span>
-//       </md-card-title-text>
-//     </md-card-title>
-//     <md-card-content>
-//       <p>
-//         <span>There are no results matching your search:<blockquote>
-//           <i>{{$ctrl.getSearchTerm()}}</i>.</blockquote>
-//           <div ng-if="$ctrl.pciSetting !== \'true\'">
-//             <a href="/primo-explore/search?query=any,contains,{{$ctrl.getSearchTerm()}}&tab=default_tab&search_scope=Everything&vid=01BRC_SOC&offset=0&sortby=rank&pcAvailability=true">
-//               <b>Try again searching items held at other libraries?</b>
-//             </a>
-//           </div>
-//         </span>
-//       </p>
-//       <p>
-//         <span translate="" class="bold-text ng-scope">Suggestions:</span>
-//       </p>
-//       <ul>
-//         <li translate="" class="ng-scope">Make sure that all words are spelled correctly.</li>
-//         <li translate="" class="ng-scope">Try a different search scope.</li>
-//         <li translate="" class="ng-scope">Try different search terms.</li>
-//         <li translate="" class="ng-scope">Try more general search terms.</li>
-//         <li translate="" class="ng-scope">Try fewer search terms.</li>
-//       </ul>
-//       <p>
-//         <b>
-//           <a href="https://stolaf.on.worldcat.org/search?queryString=kw:{{$ctrl.getSearchTerm()}}&databaseList=283">Search WorldCat</a>
-//         </b>
-//       </p>
-//       <p>
-//         <b>
-//           <a href="https://www.stolaf.edu/library/research/students.cfm">Contact a Research Librarian for Assistance</a>
-//         </b>
-//       </p>
-//     </md-card-content>
-//   </md-card>
-//   `
-// }
+            <p class="bold-text">{{ $ctrl.strings.elsewhere }}</p>
+            <ul>
+                <li ng-repeat="service in $ctrl.external">
+                    <a ng-href="{{ service.href }}" target="_blank" ng-click="$ctrl.choose(service)">{{ service.label }}</a>
+                </li>
+            </ul>
+
+            <p class="bold-text">{{ $ctrl.strings.suggestions }}</p>
+            <ul>
+                <li>{{ $ctrl.strings.spelling }}</li>
+                <li>{{ $ctrl.strings.general }}</li>
+                <li><a ng-href="{{ $ctrl.config.helpUrl }}" target="_blank" ng-click="$ctrl.choose({id: 'help'})">{{ $ctrl.strings.help }}</a></li>
+            </ul>
+        </md-card-content>
+    </md-card>
+    `,
+};
@@ -1,38 +1,62 @@
 
 class PrmSaveToFavoritesButtonAfterController {
 
-    constructor($timeout, $element, loggingService) {
-        this.$timeout = $timeout;
+    constructor($element, loggingService, primoService) {
         this.$element = $element;
         this.loggingService = loggingService;
+        this.primoService = primoService;
+
+        // The pin button is replaced with an unpin button when clicked and
+        // vice versa, so instead of listening to the buttons themselves, we
+        // listen to clicks on the parent element, which stays in place.
+        // Since we listen in the capture phase, we see the button as it was
+        // before Primo handles the click.
+        this.clickHandler = (evt) => {
+            let btn = evt.target.closest ? evt.target.closest('button') : null;
+            if (!btn) {
+                return;
+            }
+            let context = this.getContext();
+            let record = this.primoService.getRecord(this.parentCtrl);
+            if (btn.classList.contains('pin-button')) {
+                this.loggingService.trackPinRecord(record, context);
+            } else if (btn.classList.contains('unpin-button')) {
+                this.loggingService.trackUnpinRecord(record, context);
+            }
+        };
     }
 
     $postLink() {
-        this.$timeout(() => {
-            let parentElement = this.$element.parent()[0];
-
-
-            var pinBtn = parentElement.querySelector('button.pin-button'),
-                unpinBtn = parentElement.querySelector('button.unpin-button');
-
-            // Limitation: This will only save the first click, since then the
-            // button is replaced with another button element. We could add a
-            // DOM watcher, but it's not worth it I think.
-            if (pinBtn) {
-                pinBtn.addEventListener('click', () => {
-                    this.loggingService.trackPinRecord(this.parentCtrl.item);
-                }, {passive: true, capture: true});
-            } else if (unpinBtn) {
-                unpinBtn.addEventListener('click', () => {
-                    this.loggingService.trackUnpinRecord(this.parentCtrl.item);
-                }, {passive: true, capture: true});
-            }
+        this.parentElement = this.$element.parent()[0];
+        this.parentElement.addEventListener('click', this.clickHandler, {passive: true, capture: true});
+    }
+
+    $onDestroy() {
+        if (this.parentElement) {
+            this.parentElement.removeEventListener('click', this.clickHandler, {passive: true, capture: true});
+        }
+    }
 
-        });
+    /**
+     * Where is the button: In the full view, on the favourites page or in the
+     * brief results?
+     */
+    getContext() {
+        let el = this.parentElement;
+        if (!el.closest) {
+            return null;
+        }
+        if (el.closest('prm-full-view')) {
+            return 'full_view';
+        }
+        if (el.closest('prm-favorites')) {
+            return 'favorites';
+        }
+        return 'brief';
     }
 }
 
-PrmSaveToFavoritesButtonAfterController.$inject = ['$timeout', '$element', 'loggingService'];
+PrmSaveToFavoritesButtonAfterController.$inject = ['$element', 'loggingService', 'primoService'];
 
 export default {
     bindings: {parentCtrl: '<'},
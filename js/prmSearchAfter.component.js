@@ -1,31 +1,28 @@
 class PrmSearchAfterController {
 
-    constructor($scope, $compile, $timeout, $document, loggingService) {
-        $document.ready(() => {
-            // Note: At this point, the frontpage HTML template might not yet be ready.
-            // We see this problem especially in Firefox for some reason. Until we find a better
-            // way to detect when the template is loaded, we use a timeout of 100 msecs.
-            $timeout(() => {
-                let footer = angular.element(document.querySelector('.uio-footer')),
-                    prmSearchAfterEl = angular.element(document.querySelector('prm-search-after'));
-
-                if (footer.length) {
-                    // We are on the front page. Move footer to our scope and make it visible
-                    prmSearchAfterEl.append(footer.detach().addClass('visible'));
-                    let fnLink = $compile(footer);      // returns a Link function used to bind template to the scope
-                    fnLink($scope);                     // Bind scope to the template
+    constructor($state, loggingService, uioConfig) {
+        this.$state = $state;
+        this.loggingService = loggingService;
+        this.openingHoursEnabled = uioConfig.openingHours.enabled;
+    }
 
-                    loggingService.trackHome();
-                }
-            }, 100);
-        });
+    $doCheck() {
+        // The search page without a query is the front page
+        let isFrontPage = this.$state.current.name == 'exploreMain.search' && !this.$state.params.query;
+        if (isFrontPage && !this.isFrontPage) {
+            this.loggingService.trackHome();
+        }
+        this.isFrontPage = isFrontPage;
     }
 }
 
-PrmSearchAfterController.$inject = ['$scope', '$compile', '$timeout', '$document', 'loggingService'];
+PrmSearchAfterController.$inject = ['$state', 'loggingService', 'uioConfig'];
 
 export default {
     bindings: {parentCtrl: '<'},
     controller: PrmSearchAfterController,
-    template: '',
+    template: `
+    <uio-opening-hours ng-if="$ctrl.isFrontPage && $ctrl.openingHoursEnabled"></uio-opening-hours>
+    <uio-front-page ng-if="$ctrl.isFrontPage" parent-ctrl="$ctrl.parentCtrl"></uio-front-page>
+    `,
 };
@@ -1,40 +1,62 @@
-import get from 'lodash/get';
+import { translate } from './i18n';
+import frontPage from './frontPage.content';
+import { serializeQuery } from './query';
+
+// Id of the element describing the search field
+const HINT_ID = 'uio-search-hint';
+
+/**
+ * Placeholder text and description of the search field for a hint key, from
+ * the scopes on the front page. Which hint is used for each scope or tab is
+ * configured in `searchBar.hints`.
+ */
+function getScopeHint(key, lang) {
+    let scope = frontPage.scopes.filter(scope => scope.key == key)[0];
+    if (!scope) {
+        return null;
+    }
+    let description = `${translate(scope.name, lang)}: ${translate(scope.description, lang)}`;
+    if (scope.note) {
+        description += `. ${translate(scope.note, lang)}`;
+    }
+    return {
+        placeholder: translate(scope.placeholder, lang),
+        description: description,
+    };
+}
 
 class PrmSearchBarAfterController {
 
-    constructor($scope, $window, $element, $timeout, $document, $rootScope, loggingService) {
-
-        let primoVersion = get($window.appConfig, 'system-configuration.Primo_Version_Number', 'unknown');
-        let searchStateService = this.parentCtrl.searchService.searchStateService;
+    constructor($scope, $window, $element, $timeout, $document, $rootScope, $state, loggingService, uioConfig, primoService) {
 
         this.$scope = $scope;
         this.$element = $element;
         this.$timeout = $timeout;
+        this.$state = $state;
         this.loggingService = loggingService;
+        this.primoService = primoService;
+
+        // Let our Primo service pick up Primo's searchStateService
+        primoService.connect(this.parentCtrl);
 
-        // Inject Primo's searchStateService into our loggingService
-        this.loggingService.setSearchStateService(searchStateService);
-        this.loggingService.setPrimoVersion(primoVersion);
+        // The main search field, passed on to uioSearchSuggestions
+        this.searchInput = null;
+        this.suggestionsEnabled = uioConfig.suggestions.enabled;
+        this.historyEnabled = uioConfig.history.enabled;
 
-        this.pasteEventHandler = function() {
-            this.loggingService.searchBarElementPasteEvent();
-        }.bind(this);
+        // Hint for the selected scope, shown as placeholder and description
+        this.hintId = HINT_ID;
+        this.hintKeys = uioConfig.searchBar.hints;
+        this.hint = null;
 
-        this.inputHandler = function() {
-            this.loggingService.incrKeypressCount();
-        }.bind(this);
+        // Primo sets its own placeholder text when the tab changes, so we
+        // watch both the selected tab and scope and the placeholder text.
+        $scope.$watch(() => this.getHintWatchKey(), () => this.applyHint());
 
         this.loggingService.initSearchBar();
         $document.ready(() => {
 
-            // Note: mainSearchField also maps to the first input field on advanced search
-            // this.$scope.$watch('$ctrl.parentCtrl.mainSearchField', (newValue, oldValue) => {
-            //     if (newValue != oldValue) {
-            //         this.loggingService.incrKeypressCount();
-            //     }
-            // });
-
-            this.$scope.$watch('$ctrl.parentCtrl.advancedSearch', (newValue, oldValue) => {
+            this.$scope.$watch(() => primoService.isAdvancedSearch(this.parentCtrl), (newValue, oldValue) => {
                 let parentElement = this.$element.parent()[0];
                 let searchBarElement = parentElement.querySelector('#searchBar');
 
@@ -43,22 +65,89 @@ class PrmSearchBarAfterController {
                 // the search bar is not available yet here.
                 // We can watch for the element and then focus on it,
                 // but it does not seem to worth it.
-                if (searchBarElement && !oldValue) {
+                if (uioConfig.searchBar.autofocus && searchBarElement && !oldValue) {
                     $timeout(() => searchBarElement.focus());
                 }
 
-                let $inputElems = angular.element(parentElement.querySelectorAll('input'));
-
-                $inputElems.off('paste', this.pasteEventHandler); // To make sure we don't end up with double handlers
-                $inputElems.on('paste', this.pasteEventHandler);
-
-                $inputElems.off('input', this.inputHandler);  // To make sure we don't end up with double handlers
-                $inputElems.on('input', this.inputHandler);
+                // Suggestions are only offered in simple search
+                this.searchInput = newValue ? null : searchBarElement;
 
             });
         });
     }
 
+    $doCheck() {
+        this.lang = this.$state.params.lang || this.loggingService.getUserLanguage();
+    }
+
+    /**
+     * The hint for the tab and scope selected in the search bar, or null if
+     * we don't have one.
+     */
+    getHint() {
+        let selected = this.primoService.getSearchBarScope(this.parentCtrl);
+        let key = this.hintKeys[selected.scope] || this.hintKeys[selected.tab];
+        return key ? getScopeHint(key, this.lang) : null;
+    }
+
+    getHintWatchKey() {
+        let hint = this.getHint();
+        return [
+            hint ? hint.placeholder : '',
+            this.primoService.getPlaceholder(this.parentCtrl),
+        ].join('|');
+    }
+
+    applyHint() {
+        this.hint = this.getHint();
+        if (this.hint && this.primoService.getPlaceholder(this.parentCtrl) !== this.hint.placeholder) {
+            this.primoService.setPlaceholder(this.parentCtrl, this.hint.placeholder);
+        }
+        this.setDescribedBy(!!(this.hint && this.hint.description));
+    }
+
+    /**
+     * Let the search field be described by the hint, but only when there is
+     * a hint text, so screen readers don't refer to an empty element.
+     */
+    setDescribedBy(described) {
+        let searchBarElement = this.$element.parent()[0].querySelector('#searchBar');
+        if (!searchBarElement) {
+            return;
+        }
+        let current = searchBarElement.getAttribute('aria-describedby') || '';
+        let ids = current.split(' ').filter(id => id.length && id != HINT_ID);
+        if (described) {
+            ids.push(HINT_ID);
+        }
+        if (!ids.length) {
+            searchBarElement.removeAttribute('aria-describedby');
+        } else if (ids.join(' ') != current) {
+            searchBarElement.setAttribute('aria-describedby', ids.join(' '));
+        }
+    }
+
+    /**
+     * Search for an accepted suggestion in the tab and scope selected in
+     * the search bar.
+     */
+    searchFor(text) {
+        let selected = this.primoService.getSearchBarScope(this.parentCtrl);
+        this.primoService.setSearchText(this.parentCtrl, text);
+        this.$state.go('exploreMain.search', Object.assign({}, this.$state.params, {
+            query: serializeQuery({
+                array: false,
+                parts: [{field: 'any', precision: 'contains', term: text, operator: null}],
+            }),
+            tab: selected.tab || this.$state.params.tab,
+            search_scope: selected.scope || this.$state.params.search_scope,
+            mode: 'basic',
+            facet: undefined,
+            pfilter: undefined,
+            offset: 0,
+        }));
+    }
+
     // // Called after this controller's element and its children have been linked.
     // $postLink() {
     //     // Focus input field on load. Adapted from a version by @muratseyhan
@@ -74,55 +163,21 @@ class PrmSearchBarAfterController {
     //         // but it does not seem to worth it.
     //         if (searchBarElement) {
     //             searchBarElement.focus();
-
-    //             searchBarElement.addEventListener('paste', () => {
-    //                 this.loggingService.searchBarElementPasteEvent();
-    //             }, {passive: true, capture: true});
     //         }
     //     }, 0);
     // }
-
-    // Change placeholder text (needs optimization I think)
-    // by Alex RS: http://search-test.library.brandeis.edu/primo-explore/search?vid=BRANDTEST
-    // var myVar = setInterval(function(parentCtrl) {
-    //     parentCtrl._placeHolderText = calculatePlaceHolderText(parentCtrl._selectedTab);
-    //     console.log("placeholder changed");
-    // }, 100, this.parentCtrl);
-
-    // setTimeout(function( myIntervalID ) {
-    //     clearInterval(myIntervalID);
-    //     console.log("placeholder interval cleared");
-    // }, 5000, myVar);
-
-    // $scope.$watch("$parent.$ctrl._selectedTab", function(newTab, oldTab) {
-    //     $scope.$parent.$ctrl._placeHolderText = calculatePlaceHolderText(newTab);
-    // });
-
-    // function calculatePlaceHolderText (myTab) {
-    //     switch (myTab) {
-    //         case "pci":
-    //             return "Find articles and other materials from scholarly journals, newspapers, and online collections";
-    //             break;
-    //         case "alma":
-    //             return "Find books, movies, music, serials, etc";
-    //             break;
-    //         case "everything":
-    //             return "Find ALL kinds of library resources (books, movies, journal articles, etc)";
-    //             break;
-    //         case "course":
-    //             return "Find books & media on reserve for your class.";
-    //             break;
-    //         default:
-    //             return "unknown-tab placeholder";
-    //     }
-    // }
 }
 
-PrmSearchBarAfterController.$inject = ['$scope', '$window', '$element', '$timeout', '$document', '$rootScope', 'loggingService'];
+PrmSearchBarAfterController.$inject = ['$scope', '$window', '$element', '$timeout', '$document', '$rootScope', '$state', 'loggingService', 'uioConfig', 'primoService'];
 
 export default {
     // The < symbol denotes one-way bindings which are available since 1.5.
     bindings: {parentCtrl: '<'},
     controller: PrmSearchBarAfterController,
-    template: '',
+    template: `
+    <span id="{{ $ctrl.hintId }}" class="uio-search-hint">{{ $ctrl.hint.description }}</span>
+    <uio-search-suggestions ng-if="$ctrl.suggestionsEnabled" input="$ctrl.searchInput" lang="$ctrl.lang"
+        on-accept="$ctrl.searchFor(text)"></uio-search-suggestions>
+    <uio-search-history ng-if="$ctrl.historyEnabled" lang="$ctrl.lang"></uio-search-history>
+    `,
 };
@@ -1,25 +1,14 @@
-import get from 'lodash/get';
-
 class PrmSearchResultListAfterController {
 
-    constructor($window, $scope, loggingService) {
-
-        let primoVersion = get($window.appConfig, 'system-configuration.Primo_Version_Number', 'unknown');
-        let searchStateService = this.parentCtrl.searchService.searchStateService;
-
-        // Inject Primo's searchStateService into our loggingService
-        loggingService.setSearchStateService(searchStateService);
-        loggingService.setPrimoVersion(primoVersion);
+    constructor(primoService) {
 
-        $scope.$watch('$ctrl.parentCtrl.numOfLoadedPages', (newValue) => {
-            if (newValue) {
-                loggingService.searchPageLoaded(newValue);
-            }
-        });
+        // Let our Primo service pick up Primo's searchStateService.
+        // Searches are tracked from the API calls, see primoApi.interceptor.js
+        primoService.connect(this.parentCtrl);
     }
 }
 
-PrmSearchResultListAfterController.$inject = ['$window', '$scope', 'loggingService'];
+PrmSearchResultListAfterController.$inject = ['primoService'];
 
 export default {
     bindings: {parentCtrl: '<'},
@@ -1,15 +1,16 @@
 
 class PrmSilentLoginAfterController {
-    constructor(loggingService) {
-        let userSessionManagerService = this.parentCtrl.userSessionManagerService;
-        loggingService.setUserSessionManagerService(userSessionManagerService);
+    constructor(primoService) {
+        // Let our Primo service pick up Primo's userSessionManagerService
+        primoService.connect(this.parentCtrl);
     }
 }
 
-PrmSilentLoginAfterController.$inject = ['loggingService'];
+PrmSilentLoginAfterController.$inject = ['primoService'];
 
 export default {
     bindings: {parentCtrl: '<'},
     controller: PrmSilentLoginAfterController,
-    template: '',
+    // The privacy banner, kiosk overlay and skip links are placed here since this component is outside the root uiView
+    template: '<uio-privacy-banner></uio-privacy-banner><uio-kiosk-overlay></uio-kiosk-overlay><uio-skip-links></uio-skip-links>',
 };
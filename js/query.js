@@ -0,0 +1,242 @@
+/**
+ * Parser and serializer for the Primo `query`, `pfilter` and `facet` URL
+ * parameters.
+ *
+ * Each parameter can be either a string or an array of strings, and the
+ * serializers return the same shape as was parsed, so that
+ * `serializeQuery(parseQuery(x))` gives back `x`.
+ *
+ * Query format:
+ *
+ * - Multiple query parts are separated by semicolons, or given as an array.
+ * - Each part consists of {field},{precision},{term},{operator}
+ * - Commas in the term are included and NOT escaped. Example:
+ *      title,contains,fisker,krabber,OR;creator,contains,tor,NOT;any,exact,laks,AND
+ * - In advanced search, there is always a trailing operator, in simple search not.
+ *   The operator joins the part with the NEXT part.
+ * - Material type, language and date selected in advanced search are included as
+ *   part of the query, but prefixed with "facet_"
+ *
+ * Pfilter format (material type, language and publication date):
+ *
+ *  - "pfilter,exact,books,AND"
+ *  - ["lang,exact,nor,AND", "pfilter,exact,books,AND", "creationdate,exact,1-YEAR,AND"]
+ *
+ * Facet format:
+ *
+ *  - "local4,include,NB"
+ *  - ["local4,include,NB", "local10,include,641.5", "local14,include,Matoppskrifter"]
+ *
+ * The PNX search API, called by Primo, takes the facets in a different format,
+ * with the values separated by "|,|" and the names prefixed with "facet_":
+ *
+ *  - qInclude: "facet_rtype,exact,books|,|facet_lang,exact,nor"
+ *  - qExclude: "facet_rtype,exact,reviews"
+ *  - multiFacets: "facet_rtype,include,books|,|facet_rtype,include,articles"
+ */
+
+const OPERATORS = /^(?:AND|OR|NOT)$/;
+
+// A semicolon only separates query parts if it is followed by something that
+// looks like the start of a new part, so terms containing semicolons survive.
+const PART_SEPARATOR = /;(?=[A-Za-z0-9_]+,(?:contains|exact|begins_with),)/;
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+function fromList(values, array) {
+    if (array || values.length > 1) {
+        return values;
+    }
+    return values.length ? values[0] : '';
+}
+
+/**
+ * Parse a single {field},{precision},{term}[,{operator}] part.
+ */
+function parsePart(str) {
+    let comp = str.split(/,/);
+    let operator = null;
+
+    if (comp.length > 3 && comp[comp.length - 1].match(OPERATORS)) {
+        operator = comp.pop();
+    }
+
+    return {
+        field: comp[0],
+        precision: comp[1],
+        term: comp.slice(2).join(','),
+        operator: operator,
+    };
+}
+
+function serializePart(part) {
+    let comp = [part.field, part.precision, part.term];
+    if (part.operator) {
+        comp.push(part.operator);
+    }
+    return comp.join(',');
+}
+
+/****************************************************************************
+ * Query
+ ****************************************************************************/
+
+function parseQuery(value) {
+    let parts = [];
+    toList(value).forEach(str => {
+        str.split(PART_SEPARATOR).forEach(x => parts.push(parsePart(x)));
+    });
+    return {
+        array: Array.isArray(value),
+        parts: parts,
+    };
+}
+
+function serializeQuery(ast) {
+    let parts = ast.parts.map(serializePart);
+    return ast.array ? parts : parts.join(';');
+}
+
+/**
+ * The search terms of a parsed query, excluding the "facet_" parts. Unlike in
+ * the query string, the operator `op` of each term joins it with the PREVIOUS
+ * term, so the first term never has an operator.
+ */
+function queryTerms(ast) {
+    let terms = ast.parts
+        .filter(part => !part.field.match(/^facet_/))
+        .map(part => ({
+            op: part.operator,
+            field: part.field,
+            prec: part.precision,
+            term: part.term,
+        }));
+
+    for (let i = terms.length - 1; i > 0; i--) {
+        terms[i].op = terms[i - 1].op;
+    }
+    if (terms.length) {
+        terms[0].op = null;
+    }
+    return terms;
+}
+
+/**
+ * The "facet_" parts of a parsed query (material type, language and date
+ * selected in advanced search).
+ */
+function queryFacets(ast) {
+    return ast.parts
+        .filter(part => part.field.match(/^facet_/))
+        .map(part => ({
+            field: part.field,
+            prec: part.precision,
+            term: part.term,
+        }));
+}
+
+/****************************************************************************
+ * Pfilter
+ ****************************************************************************/
+
+function parsePfilter(value) {
+    return {
+        array: Array.isArray(value),
+        parts: toList(value).map(parsePart),
+    };
+}
+
+function serializePfilter(ast) {
+    return fromList(ast.parts.map(serializePart), ast.array);
+}
+
+/****************************************************************************
+ * Facets
+ ****************************************************************************/
+
+function parseFacets(value) {
+    return {
+        array: Array.isArray(value),
+        facets: toList(value).map(str => {
+            let comp = str.split(/,/);
+            return {
+                name: comp[0],
+                type: comp[1],
+                value: comp.slice(2).join(','),
+            };
+        }),
+    };
+}
+
+function serializeFacets(ast) {
+    return fromList(ast.facets.map(facet => [facet.name, facet.type, facet.value].join(',')), ast.array);
+}
+
+/**
+ * Parse the facets from the parameters of a PNX search API call into a
+ * list of {name, type, value}, with type 'include' or 'exclude'.
+ */
+function parseApiFacets(params) {
+    let facets = [];
+    [['qInclude', 'include'], ['qExclude', 'exclude'], ['multiFacets', null]].forEach(param => {
+        toList(params[param[0]]).forEach(value => {
+            value.split('|,|').filter(str => str.length).forEach(str => {
+                let comp = str.split(/,/);
+                facets.push({
+                    name: comp[0].replace(/^facet_/, ''),
+                    type: param[1] || comp[1],
+                    value: comp.slice(2).join(','),
+                });
+            });
+        });
+    });
+    return facets;
+}
+
+/****************************************************************************
+ * All search parameters
+ ****************************************************************************/
+
+/**
+ * Parse the `query`, `pfilter` and `facet` parameters from a set of URL
+ * parameters, such as `$stateParams` or the `toParams` of a state change.
+ */
+function parseSearchParams(params) {
+    return {
+        query: parseQuery(params.query),
+        pfilter: parsePfilter(params.pfilter),
+        facet: parseFacets(params.facet),
+    };
+}
+
+function serializeSearchParams(ast) {
+    let params = {
+        query: serializeQuery(ast.query),
+    };
+    if (ast.pfilter.parts.length) {
+        params.pfilter = serializePfilter(ast.pfilter);
+    }
+    if (ast.facet.facets.length) {
+        params.facet = serializeFacets(ast.facet);
+    }
+    return params;
+}
+
+export {
+    parseQuery,
+    serializeQuery,
+    queryTerms,
+    queryFacets,
+    parsePfilter,
+    serializePfilter,
+    parseFacets,
+    serializeFacets,
+    parseApiFacets,
+    parseSearchParams,
+    serializeSearchParams,
+};
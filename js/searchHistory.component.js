@@ -0,0 +1,231 @@
+/**
+ * Panel below the search bar with the user's search history, see
+ * searchHistory.service.js. Searches can be re-run, deleted and pinned, and
+ * the history can be exported to and imported from a JSON file.
+ *
+ * The component is inserted from prmSearchBarAfter.
+ */
+
+import { localize, format } from './i18n';
+
+const EXPORT_FILENAME = 'oria-search-history.json';
+
+const strings = {
+    no_NO: {
+        title: 'Søkehistorikk',
+        show: 'Vis søkehistorikk',
+        hide: 'Skjul søkehistorikk',
+        note: 'Søkene dine lagres bare i denne nettleseren.',
+        empty: 'Du har ikke søkt ennå.',
+        results: '{total} treff',
+        rerun: 'Søk på nytt',
+        remove: 'Slett',
+        pin: 'Fest',
+        unpin: 'Løsne',
+        exportJson: 'Eksporter',
+        importJson: 'Importer',
+        imported: '{count} søk importert.',
+        importError: 'Filen kunne ikke importeres.',
+    },
+    nn_NO: {
+        title: 'Søkjehistorikk',
+        show: 'Vis søkjehistorikk',
+        hide: 'Skjul søkjehistorikk',
+        note: 'Søka dine blir berre lagra i denne nettlesaren.',
+        empty: 'Du har ikkje søkt enno.',
+        results: '{total} treff',
+        rerun: 'Søk på nytt',
+        remove: 'Slett',
+        pin: 'Fest',
+        unpin: 'Løys',
+        exportJson: 'Eksporter',
+        importJson: 'Importer',
+        imported: '{count} søk importert.',
+        importError: 'Fila kunne ikkje importerast.',
+    },
+    en_US: {
+        title: 'Search history',
+        show: 'Show search history',
+        hide: 'Hide search history',
+        note: 'Your searches are only stored in this browser.',
+        empty: 'You have not searched yet.',
+        results: '{total} results',
+        rerun: 'Search again',
+        remove: 'Delete',
+        pin: 'Pin',
+        unpin: 'Unpin',
+        exportJson: 'Export',
+        importJson: 'Import',
+        imported: '{count} searches imported.',
+        importError: 'The file could not be imported.',
+    },
+    se_NO: {
+        title: 'Ohcanhistorihkka',
+        show: 'Čájet ohcanhistorihka',
+        hide: 'Čiega ohcanhistorihka',
+        note: 'Du ohcamat vurkejuvvojit dušše dán neahttalohkkái.',
+        empty: 'It leat vel ozan.',
+        results: '{total} bohtosa',
+        rerun: 'Oza ođđasit',
+        remove: 'Sihko',
+        pin: 'Giddet',
+        unpin: 'Luoitte',
+        exportJson: 'Olggosfievrrit',
+        importJson: 'Sisafievrrit',
+        imported: '{count} ohcama sisafievrriduvvon.',
+        importError: 'Fiilla ii sáhttán sisafievrriduvvot.',
+    },
+};
+
+class UioSearchHistoryController {
+
+    constructor($element, $scope, $state, $window, searchHistoryService, loggingService) {
+        this.$element = $element;
+        this.$scope = $scope;
+        this.$state = $state;
+        this.$window = $window;
+        this.searchHistory = searchHistoryService;
+        this.loggingService = loggingService;
+
+        this.open = false;
+        this.entries = [];
+        this.message = null;
+
+        this.fileHandler = (evt) => {
+            let file = evt.target.files[0];
+            if (file) {
+                this.readFile(file);
+            }
+            evt.target.value = '';
+        };
+    }
+
+    $onChanges() {
+        this.strings = localize(strings, this.lang);
+    }
+
+    $postLink() {
+        this.fileInput = this.$element[0].querySelector('input[type="file"]');
+        this.fileInput.addEventListener('change', this.fileHandler);
+    }
+
+    $onDestroy() {
+        this.fileInput.removeEventListener('change', this.fileHandler);
+    }
+
+    refresh() {
+        this.entries = this.searchHistory.getEntries();
+    }
+
+    toggle() {
+        this.open = !this.open;
+        this.message = null;
+        if (this.open) {
+            this.refresh();
+            this.loggingService.trackSearchHistory('open', this.entries.length);
+        }
+    }
+
+    formatTotal(entry) {
+        return format(this.strings.results, {total: entry.total});
+    }
+
+    formatTime(entry) {
+        return new Date(entry.time * 1000).toLocaleString();
+    }
+
+    rerun(entry) {
+        this.loggingService.trackSearchHistory('rerun', this.entries.length);
+        this.open = false;
+        this.$state.go('exploreMain.search', Object.assign({}, this.$state.params, this.searchHistory.getSearchParams(entry)));
+    }
+
+    remove(entry) {
+        this.searchHistory.remove(entry.id);
+        this.refresh();
+        this.loggingService.trackSearchHistory('delete', this.entries.length);
+    }
+
+    togglePinned(entry) {
+        this.searchHistory.setPinned(entry.id, !entry.pinned);
+        this.refresh();
+        this.loggingService.trackSearchHistory(entry.pinned ? 'unpin' : 'pin', this.entries.length);
+    }
+
+    exportJson() {
+        let blob = new this.$window.Blob([this.searchHistory.exportJson()], {type: 'application/json'});
+        let url = this.$window.URL.createObjectURL(blob);
+        let link = this.$window.document.createElement('a');
+        link.href = url;
+        link.download = EXPORT_FILENAME;
+        this.$window.document.body.appendChild(link);
+        link.click();
+        link.parentNode.removeChild(link);
+        this.$window.URL.revokeObjectURL(url);
+        this.loggingService.trackSearchHistory('export', this.entries.length);
+    }
+
+    importJson() {
+        this.fileInput.click();
+    }
+
+    readFile(file) {
+        let reader = new this.$window.FileReader();
+        reader.onload = () => {
+            this.$scope.$applyAsync(() => {
+                try {
+                    let count = this.searchHistory.importJson(reader.result);
+                    this.message = format(this.strings.imported, {count: count});
+                } catch (e) {
+                    this.message = this.strings.importError;
+                }
+                this.refresh();
+                this.loggingService.trackSearchHistory('import', this.entries.length);
+            });
+        };
+        reader.readAsText(file);
+    }
+}
+
+UioSearchHistoryController.$inject = ['$element', '$scope', '$state', '$window', 'searchHistoryService', 'loggingService'];
+
+export default {
+    bindings: {lang: '<'},
+    controller: UioSearchHistoryController,
+    template: `
+    <div class="uio-search-history">
+        <md-button class="uio-search-history-toggle" ng-click="$ctrl.toggle()" aria-expanded="{{ $ctrl.open }}"
+            aria-controls="uio-search-history-panel">
+            {{ $ctrl.open ? $ctrl.strings.hide : $ctrl.strings.show }}
+        </md-button>
+
+        <div id="uio-search-history-panel" class="uio-search-history-panel" ng-show="$ctrl.open"
+            role="region" aria-label="{{ $ctrl.strings.title }}">
+            <p class="uio-search-history-note">{{ $ctrl.strings.note }}</p>
+            <p ng-if="!$ctrl.entries.length">{{ $ctrl.strings.empty }}</p>
+            <ul>
+                <li ng-repeat="entry in $ctrl.entries track by entry.id" ng-class="{'uio-pinned': entry.pinned}">
+                    <a href="" class="uio-search-history-query" ng-click="$ctrl.rerun(entry)" title="{{ $ctrl.strings.rerun }}">{{ entry.text }}</a>
+                    <span class="uio-search-history-meta">
+                        <span ng-if="entry.facets.length">({{ entry.facets.join(', ') }})</span>
+                        <span ng-if="entry.total !== null">{{ $ctrl.formatTotal(entry) }}</span>
+                        <span>{{ $ctrl.formatTime(entry) }}</span>
+                    </span>
+                    <md-button class="md-icon-button" ng-click="$ctrl.togglePinned(entry)" aria-pressed="{{ entry.pinned }}"
+                        aria-label="{{ entry.pinned ? $ctrl.strings.unpin : $ctrl.strings.pin }}: {{ entry.text }}">
+                        {{ entry.pinned ? '&#9733;' : '&#9734;' }}
+                    </md-button>
+                    <md-button class="md-icon-button" ng-click="$ctrl.remove(entry)"
+                        aria-label="{{ $ctrl.strings.remove }}: {{ entry.text }}">&#10005;</md-button>
+                </li>
+            </ul>
+            <div class="uio-search-history-actions">
+                <md-button ng-click="$ctrl.exportJson()" ng-disabled="!$ctrl.entries.length">{{ $ctrl.strings.exportJson }}</md-button>
+                <md-button ng-click="$ctrl.importJson()">{{ $ctrl.strings.importJson }}</md-button>
+                <input type="file" accept="application/json,.json" hidden>
+                <span role="status">{{ $ctrl.message }}</span>
+            </div>
+        </div>
+    </div>
+    `,
+};
@@ -0,0 +1,239 @@
+/**
+ * The user's search history, stored locally in the browser (localStorage),
+ * so it's available without logging in. Nothing is sent to any server.
+ *
+ * Searches are picked up from the state changes, so every search is
+ * recorded, no matter how it was started. The number of results is added
+ * when the logging service has got the results (the `uioSearchLoaded`
+ * event), which happens even if the user has opted out of tracking.
+ *
+ * Each entry has:
+ *
+ *  - `id`: unique id
+ *  - `text`: the search terms, for display
+ *  - `query`, `facet`, `pfilter`, `mode`: search state parameters, for re-running the search
+ *  - `tab`, `scope`: the search tab and scope
+ *  - `facets`: the facet values, for display
+ *  - `total`: number of results, if known
+ *  - `time`: unix timestamp of the last time the search was run
+ *  - `pinned`: pinned entries are kept when the history is full
+ *
+ * A search is identified by its query and scope: running the same search
+ * again, with or without other facets, moves it to the top of the list.
+ */
+
+import uuidv1 from 'uuid/v1';
+import { parseQuery, queryTerms, parseFacets, parsePfilter } from './query';
+
+const STORAGE_KEY = 'uioSearchHistory';
+
+// Version of the export format
+const EXPORT_VERSION = 1;
+
+class SearchHistoryService {
+
+    constructor($rootScope, $window, uioConfig) {
+        this.$window = $window;
+        this.config = uioConfig.history;
+
+        $rootScope.$on('$stateChangeSuccess', (event, toState, toParams) => {
+            if (this.config.enabled && toState.name == 'exploreMain.search' && toParams.query) {
+                this.add(toParams);
+            }
+        });
+
+        $rootScope.$on('uioSearchLoaded', (event, search) => {
+            if (search.page_no == 1) {
+                this.setTotal(search.query, search.scope, search.total);
+            }
+        });
+    }
+
+    /****************************************************************************
+     * Internal methods
+     ****************************************************************************/
+
+    read() {
+        try {
+            return JSON.parse(this.$window.localStorage.getItem(STORAGE_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Write the entries, dropping the oldest unpinned entries if there are
+     * more than `maxEntries`.
+     */
+    write(entries) {
+        let unpinned = 0;
+        entries = entries.filter(entry => entry.pinned || ++unpinned <= this.config.maxEntries);
+        try {
+            this.$window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        } catch (e) {
+            // Storage full or not available, not important
+        }
+    }
+
+    /**
+     * Check the fields of an imported entry. Returns a clean copy with only
+     * the known fields, or null if the entry is invalid.
+     */
+    parseEntry(entry) {
+        let isString = x => typeof x == 'string';
+        let isOptionalString = x => x === undefined || x === null || isString(x);
+        let isParam = x => isOptionalString(x) || (Array.isArray(x) && x.every(isString));
+        let isNumber = x => typeof x == 'number' && isFinite(x);
+
+        if (!entry || typeof entry != 'object' ||
+            !isString(entry.text) || !entry.text.length ||
+            !isString(entry.query) || !entry.query.length ||
+            !isParam(entry.facet) || !isParam(entry.pfilter) ||
+            !isOptionalString(entry.mode) || !isOptionalString(entry.tab) || !isOptionalString(entry.scope) ||
+            !Array.isArray(entry.facets) || !entry.facets.every(isString) ||
+            !isNumber(entry.time) ||
+            !(entry.total === undefined || entry.total === null || isNumber(entry.total)) ||
+            !(entry.pinned === undefined || typeof entry.pinned == 'boolean')) {
+            return null;
+        }
+        return {
+            id: uuidv1(),
+            text: entry.text,
+            query: entry.query,
+            facet: entry.facet || null,
+            pfilter: entry.pfilter || null,
+            mode: entry.mode || null,
+            tab: entry.tab || null,
+            scope: entry.scope || null,
+            facets: entry.facets,
+            total: isNumber(entry.total) ? entry.total : null,
+            time: entry.time,
+            pinned: !!entry.pinned,
+        };
+    }
+
+    update(id, changes) {
+        this.write(this.read().map(entry => entry.id == id ? Object.assign(entry, changes) : entry));
+    }
+
+    /****************************************************************************
+     * Public interface
+     ****************************************************************************/
+
+    /**
+     * Add a search from the search state parameters. A repeated search is
+     * moved to the top of the list.
+     */
+    add(params) {
+        let text = queryTerms(parseQuery(params.query)).map(term => term.term).join(' ').trim();
+        if (!text) {
+            return;
+        }
+        let scope = params.search_scope || null;
+        let entries = this.read();
+        let existing = entries.filter(x => x.query == params.query && x.scope == scope)[0];
+        let facets = parseFacets(params.facet).facets.map(facet => facet.value)
+            .concat(parsePfilter(params.pfilter).parts.map(part => part.term));
+
+        let entry = Object.assign(existing || {id: uuidv1(), pinned: false, total: null}, {
+            text: text,
+            query: params.query,
+            facet: params.facet || null,
+            pfilter: params.pfilter || null,
+            mode: params.mode || null,
+            tab: params.tab || null,
+            scope: scope,
+            facets: facets,
+            time: Math.round(Date.now() / 1000),
+        });
+        entries = entries.filter(x => x !== existing);
+        entries.unshift(entry);
+        this.write(entries);
+    }
+
+    /**
+     * Set the number of results of the latest entry matching query and scope.
+     */
+    setTotal(query, scope, total) {
+        let entry = this.read().filter(x => x.query == query && x.scope == (scope || null))[0];
+        if (entry) {
+            this.update(entry.id, {total: total});
+        }
+    }
+
+    /**
+     * The search history, newest first.
+     */
+    getEntries() {
+        return this.read();
+    }
+
+    remove(id) {
+        this.write(this.read().filter(entry => entry.id != id));
+    }
+
+    setPinned(id, pinned) {
+        this.update(id, {pinned: !!pinned});
+    }
+
+    clear() {
+        this.$window.localStorage.removeItem(STORAGE_KEY);
+    }
+
+    /**
+     * The search state parameters for re-running a search.
+     */
+    getSearchParams(entry) {
+        return {
+            query: entry.query,
+            facet: entry.facet || undefined,
+            pfilter: entry.pfilter || undefined,
+            mode: entry.mode || undefined,
+            tab: entry.tab || undefined,
+            search_scope: entry.scope || undefined,
+            offset: 0,
+        };
+    }
+
+    /**
+     * Export the history as a JSON string.
+     */
+    exportJson() {
+        return JSON.stringify({
+            version: EXPORT_VERSION,
+            exported: Math.round(Date.now() / 1000),
+            entries: this.read(),
+        }, null, 2);
+    }
+
+    /**
+     * Import a history exported by `exportJson()`, merging it with the
+     * current history. Invalid entries and searches already in the history
+     * are skipped. Returns the number of entries added. Throws an error if
+     * the JSON isn't an exported history.
+     */
+    importJson(json) {
+        let data = JSON.parse(json);
+        if (!data || data.version !== EXPORT_VERSION || !Array.isArray(data.entries)) {
+            throw new Error('Not a search history export');
+        }
+        let entries = this.read();
+        let added = [];
+        data.entries.forEach(x => {
+            let entry = this.parseEntry(x);
+            if (entry && !entries.some(y => y.query == entry.query && y.scope == entry.scope)) {
+                entries.push(entry);
+                added.push(entry.id);
+            }
+        });
+        entries.sort((a, b) => b.time - a.time);
+        this.write(entries);
+
+        // Old unpinned entries may have been dropped if the history is full
+        return this.read().filter(entry => added.indexOf(entry.id) != -1).length;
+    }
+}
+
+SearchHistoryService.$inject = ['$rootScope', '$window', 'uioConfig'];
+
+export default SearchHistoryService;
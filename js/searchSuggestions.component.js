@@ -0,0 +1,232 @@
+/**
+ * Search-as-you-type suggestions for the main search field, inserted by
+ * prmSearchBarAfter, which passes in the input element.
+ *
+ * The input element gets ARIA combobox semantics, and the suggestions are
+ * shown as a listbox below it. Keyboard: Up/Down to move between the
+ * suggestions, Enter to accept, Escape to close.
+ *
+ * Whether suggestions were shown, and whether one was accepted, is included
+ * in the next search event, see loggingService.
+ */
+
+import { localize } from './i18n';
+
+const LISTBOX_ID = 'uio-search-suggestions';
+
+// Milliseconds to wait after the last keypress before fetching suggestions
+const INPUT_DELAY = 200;
+
+const strings = {
+    no_NO: {
+        label: 'Søkeforslag',
+        recent: 'Nylig søkt',
+        subject: 'Emneord',
+        endpoint: 'Forslag',
+    },
+    nn_NO: {
+        label: 'Søkjeforslag',
+        recent: 'Nyleg søkt',
+        subject: 'Emneord',
+        endpoint: 'Forslag',
+    },
+    en_US: {
+        label: 'Search suggestions',
+        recent: 'Recent search',
+        subject: 'Subject',
+        endpoint: 'Suggestion',
+    },
+    se_NO: {
+        label: 'Ohcanevttohusat',
+        recent: 'Easkka ozan',
+        subject: 'Fáddásátni',
+        endpoint: 'Evttohus',
+    },
+};
+
+class UioSearchSuggestionsController {
+
+    constructor($scope, $timeout, suggestionsService, loggingService) {
+        this.$scope = $scope;
+        this.$timeout = $timeout;
+        this.suggestionsService = suggestionsService;
+        this.loggingService = loggingService;
+
+        this.listboxId = LISTBOX_ID;
+        this.suggestions = [];
+        this.active = -1;
+        this.open = false;
+
+        // Incremented for each request, so that late responses are ignored
+        this.requestNo = 0;
+
+        this.inputHandler = () => {
+            this.$timeout.cancel(this.inputTimer);
+            this.inputTimer = this.$timeout(() => this.update(), INPUT_DELAY);
+        };
+
+        // Listening on the parent in the capture phase, so we see the keys
+        // before Primo does, and can stop Enter from searching for the typed
+        // text when a suggestion is selected.
+        this.keyHandler = (evt) => {
+            if (evt.target !== this.input || !this.open) {
+                return;
+            }
+            let handled = true;
+            if (evt.key == 'ArrowDown' || evt.key == 'Down') {
+                this.move(1);
+            } else if (evt.key == 'ArrowUp' || evt.key == 'Up') {
+                this.move(-1);
+            } else if (evt.key == 'Escape' || evt.key == 'Esc') {
+                this.close();
+            } else if (evt.key == 'Enter' && this.active != -1) {
+                this.accept(this.active);
+            } else {
+                handled = false;
+            }
+            if (handled) {
+                evt.preventDefault();
+                evt.stopPropagation();
+                this.$scope.$applyAsync();
+            }
+        };
+
+        this.blurHandler = () => {
+            this.$scope.$applyAsync(() => this.close());
+        };
+    }
+
+    $onChanges(changes) {
+        if (changes.lang) {
+            this.strings = localize(strings, this.lang);
+        }
+        if (changes.input) {
+            this.detach(changes.input.previousValue);
+            this.attach(this.input);
+        }
+    }
+
+    $onDestroy() {
+        this.detach(this.input);
+    }
+
+    attach(input) {
+        if (!input) {
+            return;
+        }
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', LISTBOX_ID);
+        input.setAttribute('aria-expanded', 'false');
+        input.addEventListener('input', this.inputHandler);
+        input.addEventListener('blur', this.blurHandler);
+        this.keyTarget = input.parentElement;
+        this.keyTarget.addEventListener('keydown', this.keyHandler, true);
+    }
+
+    detach(input) {
+        // A pending update would read the old input
+        this.$timeout.cancel(this.inputTimer);
+        this.requestNo++;
+        if (!input || !input.removeEventListener) {
+            return;
+        }
+        input.removeEventListener('input', this.inputHandler);
+        input.removeEventListener('blur', this.blurHandler);
+        if (this.keyTarget) {
+            this.keyTarget.removeEventListener('keydown', this.keyHandler, true);
+        }
+    }
+
+    update() {
+        if (!this.input) {
+            return;
+        }
+        let requestNo = ++this.requestNo;
+        this.suggestionsService.getSuggestions(this.input.value, this.lang).then(suggestions => {
+            if (requestNo != this.requestNo || !this.input) {
+                return;
+            }
+            this.suggestions = suggestions;
+            this.active = -1;
+            this.setOpen(suggestions.length > 0);
+            if (suggestions.length) {
+                this.loggingService.suggestionsShown();
+            }
+        });
+    }
+
+    setOpen(open) {
+        this.open = open;
+        this.input.setAttribute('aria-expanded', open ? 'true' : 'false');
+        this.updateActiveDescendant();
+    }
+
+    close() {
+        this.requestNo++;
+        this.active = -1;
+        if (this.input) {
+            this.setOpen(false);
+        }
+    }
+
+    move(delta) {
+        let n = this.suggestions.length;
+        this.active = this.active + delta;
+        if (this.active >= n) {
+            this.active = -1;
+        } else if (this.active < -1) {
+            this.active = n - 1;
+        }
+        this.updateActiveDescendant();
+    }
+
+    updateActiveDescendant() {
+        if (this.open && this.active != -1) {
+            this.input.setAttribute('aria-activedescendant', this.optionId(this.active));
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    optionId(idx) {
+        return `${LISTBOX_ID}-${idx}`;
+    }
+
+    accept(idx) {
+        let suggestion = this.suggestions[idx];
+        this.loggingService.suggestionAccepted(suggestion.source, idx + 1, this.input.value.trim().length);
+        this.input.value = suggestion.text;
+        this.close();
+        this.onAccept({text: suggestion.text});
+    }
+
+    /**
+     * Keep focus in the input when clicking a suggestion.
+     */
+    preventBlur(evt) {
+        evt.preventDefault();
+    }
+}
+
+UioSearchSuggestionsController.$inject = ['$scope', '$timeout', 'suggestionsService', 'loggingService'];
+
+export default {
+    bindings: {
+        input: '<',
+        lang: '<',
+        onAccept: '&',
+    },
+    controller: UioSearchSuggestionsController,
+    template: `
+    <ul class="uio-search-suggestions" id="{{ $ctrl.listboxId }}" role="listbox"
+        aria-label="{{ $ctrl.strings.label }}" ng-show="$ctrl.open">
+        <li ng-repeat="suggestion in $ctrl.suggestions" id="{{ $ctrl.optionId($index) }}" role="option"
+            aria-selected="{{ $index == $ctrl.active }}" ng-class="{'uio-active': $index == $ctrl.active}"
+            ng-mousedown="$ctrl.preventBlur($event)" ng-click="$ctrl.accept($index)">
+            <span class="uio-suggestion-text">{{ suggestion.text }}</span>
+            <span class="uio-suggestion-source">{{ $ctrl.strings[suggestion.source] }}</span>
+        </li>
+    </ul>
+    `,
+};
@@ -0,0 +1,201 @@
+/**
+ * Sessions for the Slurp logging service.
+ *
+ * A session is stored in the browser's sessionStorage, so each browser tab
+ * or window has its own session. A session ends after `slurp.sessionTimeout`
+ * seconds without events.
+ *
+ * Users often open records from the result list in new tabs. A session
+ * started in such a child tab is linked to the session in the tab it was
+ * opened from (the parent), and to the last event in the parent session
+ * (the referring event). All sessions opened from the same first session
+ * share its ID as `rootId`. The parent session is found
+ *
+ *  - through `window.opener`, if the tab was opened with an opener. Some
+ *    browsers copy sessionStorage to the new tab in that case, so a session
+ *    with the same ID as the opener's is not continued.
+ *  - otherwise by asking other tabs using a BroadcastChannel, if the page
+ *    was opened from a link on the same site. The most recently active
+ *    session that answers before the first event is used.
+ *
+ * Session data:
+ *
+ *  - `id`, `rootId`, `parentId`: IDs of the session, the first session in
+ *    the chain of parent sessions, and the parent session
+ *  - `referrerEventId`: ID of the parent's last event when this tab opened
+ *  - `via`: how the parent session was found, 'opener' or 'broadcast'
+ *  - `created`, `lastActive`: timestamps in seconds
+ *  - `actionCount`, `lastAction`, `lastData`, `lastEventId`: the number of
+ *    the next event, and the last event
+ */
+
+import uuidv1 from 'uuid/v1';
+
+const STORAGE_KEY = 'slurpSession';
+const CHANNEL_NAME = 'slurpSession';
+
+class SessionManager {
+
+    /**
+     * @param $window
+     * @param timeout  Session timeout in seconds
+     */
+    constructor($window, timeout) {
+        this.$window = $window;
+        this.timeout = timeout;
+
+        // Identifies this page when asking other tabs for their session
+        this.pageId = uuidv1();
+
+        // Link to the parent session, if this tab was opened from another tab
+        this.parent = null;
+
+        let session = this.read();
+        let opener = this.getOpenerSession();
+        if (opener && (!session || session.id == opener.sessionId)) {
+            // Storage copied from the opener is not our session
+            this.parent = opener;
+            this.clear();
+        }
+
+        this.openChannel(!this.read() && !this.parent && this.isFromSameSite());
+    }
+
+    /****************************************************************************
+     * Internal methods
+     ****************************************************************************/
+
+    now() {
+        return Math.round(Date.now() / 1000);
+    }
+
+    /**
+     * Parent link for a session, or null if the session has expired.
+     */
+    getLink(session, via) {
+        if (!session || this.isExpired(session, this.now())) {
+            return null;
+        }
+        return {
+            sessionId: session.id,
+            rootId: session.rootId || session.id,
+            eventId: session.lastEventId || null,
+            lastActive: session.lastActive,
+            via: via,
+        };
+    }
+
+    getOpenerSession() {
+        try {
+            let opener = this.$window.opener;
+            if (!opener || opener === this.$window) {
+                return null;
+            }
+            // Throws if the opener is on another site
+            return this.getLink(JSON.parse(opener.sessionStorage.getItem(STORAGE_KEY)), 'opener');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    isFromSameSite() {
+        let referrer = this.$window.document.referrer;
+        return !!referrer && referrer.indexOf(this.$window.location.origin + '/') == 0;
+    }
+
+    /**
+     * Listen for other tabs asking for our session, and optionally ask them
+     * for theirs.
+     */
+    openChannel(askForParent) {
+        if (!this.$window.BroadcastChannel) {
+            return;
+        }
+        try {
+            this.channel = new this.$window.BroadcastChannel(CHANNEL_NAME);
+        } catch (e) {
+            // Not allowed, for instance in some private modes
+            return;
+        }
+        this.channel.onmessage = (evt) => this.onMessage(evt.data || {});
+        if (askForParent) {
+            this.channel.postMessage({type: 'ask', from: this.pageId});
+        }
+    }
+
+    onMessage(message) {
+        if (message.type == 'ask') {
+            let link = this.getLink(this.read(), 'broadcast');
+            if (link) {
+                this.channel.postMessage({type: 'answer', to: message.from, link: link});
+            }
+        } else if (message.type == 'answer' && message.to == this.pageId) {
+            // Too late if we have started our own session
+            if (!this.read() && (!this.parent || message.link.lastActive > this.parent.lastActive)) {
+                this.parent = message.link;
+            }
+        }
+    }
+
+    /****************************************************************************
+     * Public interface
+     ****************************************************************************/
+
+    /**
+     * The session of this tab, or null if there is none.
+     */
+    read() {
+        try {
+            return JSON.parse(this.$window.sessionStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    write(session) {
+        try {
+            this.$window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+        } catch (e) {
+            // Storage full or not available
+        }
+    }
+
+    clear() {
+        try {
+            this.$window.sessionStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            // Storage not available
+        }
+    }
+
+    isExpired(session, now) {
+        return !session.lastActive || now - session.lastActive > this.timeout;
+    }
+
+    /**
+     * Create and store a new session, linked to the parent session if this
+     * is the first session in a child tab.
+     */
+    create(now) {
+        let parent = this.parent;
+        this.parent = null;
+        let id = uuidv1();
+        let session = {
+            id: id,
+            rootId: parent ? parent.rootId : id,
+            parentId: parent ? parent.sessionId : null,
+            referrerEventId: parent ? parent.eventId : null,
+            via: parent ? parent.via : null,
+            created: now,
+            lastActive: now,
+            actionCount: 1,
+            lastAction: null,
+            lastData: null,
+            lastEventId: null,
+        };
+        this.write(session);
+        return session;
+    }
+}
+
+export { SessionManager };
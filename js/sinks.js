@@ -0,0 +1,158 @@
+/**
+ * Sinks are the destinations of the Slurp event stream. The logging service
+ * prepares a payload for each event and hands it to every sink that accepts
+ * the event's action.
+ *
+ * Each sink can be limited to a subset of actions using the options
+ *
+ *   - `actions`: list of actions to receive (default: all actions)
+ *   - `exclude`: list of actions to never receive
+ *
+ * To send events somewhere else than the UiO Slurp server, override the
+ * `slurpSinks` factory in your own main.js:
+ *
+ *     app.factory('slurpSinks', ['$window', ($window) => [
+ *         new SlurpSink($window, 'https://example.org/slurp/'),
+ *         new ConsoleSink({actions: ['search']}),
+ *     ]]);
+ */
+
+import EventQueue from './eventQueue';
+
+class Sink {
+
+    constructor(options) {
+        options = options || {};
+        this.actions = options.actions || null;
+        this.exclude = options.exclude || [];
+    }
+
+    accepts(action) {
+        if (this.exclude.indexOf(action) != -1) {
+            return false;
+        }
+        return !this.actions || this.actions.indexOf(action) != -1;
+    }
+
+    send() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Drop events not yet sent, if any. Called when the user opts out.
+     */
+    clear() {
+    }
+
+    /**
+     * Hand over events not yet sent to the browser right away, if any.
+     * Called before the session storage is cleared or the page is unloaded.
+     */
+    flush() {
+    }
+}
+
+/**
+ * The Slurp server. Events are queued and posted in batches as a JSON array.
+ */
+class SlurpSink extends Sink {
+
+    constructor($window, url, options) {
+        options = options || {};
+        super(options);
+        this.url = url;
+        this.queue = new EventQueue($window, url, {
+            storageKey: options.storageKey || 'slurpQueue',
+        });
+    }
+
+    send(payload) {
+        this.queue.push(payload);
+    }
+
+    clear() {
+        this.queue.clear();
+    }
+
+    flush() {
+        this.queue.flushBeacon();
+    }
+}
+
+/**
+ * Generic collector accepting JSON lines (one JSON document per line).
+ * Like the Slurp sink, events are queued and posted in batches.
+ */
+class JsonLinesHttpSink extends Sink {
+
+    constructor($window, url, options) {
+        options = options || {};
+        super(options);
+        this.url = url;
+        this.queue = new EventQueue($window, url, {
+            storageKey: options.storageKey || 'slurpQueue:' + url,
+            serialize: payloads => payloads.map(payload => JSON.stringify(payload)).join('\n') + '\n',
+        });
+    }
+
+    send(payload) {
+        this.queue.push(payload);
+    }
+
+    clear() {
+        this.queue.clear();
+    }
+
+    flush() {
+        this.queue.flushBeacon();
+    }
+}
+
+/**
+ * Writes events to the browser console. Useful for debugging.
+ */
+class ConsoleSink extends Sink {
+
+    send(payload) {
+        console.log(`[slurp] ${payload.action}`, payload);
+    }
+}
+
+/**
+ * Keeps events in memory. Useful for tests.
+ */
+class MemorySink extends Sink {
+
+    constructor(options) {
+        super(options);
+        this.events = [];
+    }
+
+    send(payload) {
+        this.events.push(payload);
+    }
+
+    clear() {
+        this.events = [];
+    }
+}
+
+/**
+ * Default sinks
+ */
+function slurpSinksFactory($window, uioConfig) {
+    let sinks = [
+        new SlurpSink($window, uioConfig.slurp.url),
+    ];
+    if (uioConfig.slurp.console) {
+        sinks.push(new ConsoleSink());
+    }
+    if (uioConfig.slurp.capture) {
+        sinks.push(new MemorySink());
+    }
+    return sinks;
+}
+
+slurpSinksFactory.$inject = ['$window', 'uioConfig'];
+
+export { Sink, SlurpSink, JsonLinesHttpSink, ConsoleSink, MemorySink, slurpSinksFactory };
@@ -0,0 +1,126 @@
+/**
+ * Skip links to the search field, the results and the facets, see
+ * accessibility.service.js. Only links to parts found on the current page
+ * are shown, and the links are only visible when focused.
+ *
+ * Inserted from prmSilentLoginAfter, and moved to the start of the body so
+ * the links come first in the tab order.
+ */
+
+import { localize } from './i18n';
+
+// Skip link targets, see the "Primo internals" section in the README. The
+// selectors are tried in order, so the most specific comes first.
+const TARGETS = [
+    {key: 'results', selectors: ['prm-search-result-list #searchResultsContainer', 'prm-search-result-list']},
+    {key: 'facets', selectors: ['prm-facet .primo-facets', 'prm-facet']},
+    {key: 'search', selectors: ['#searchBar']},
+];
+
+const strings = {
+    no_NO: {
+        label: 'Hopp til',
+        results: 'Hopp til søkeresultater',
+        facets: 'Hopp til avgrensninger',
+        search: 'Hopp til søkefeltet',
+    },
+    nn_NO: {
+        label: 'Hopp til',
+        results: 'Hopp til søkjeresultat',
+        facets: 'Hopp til avgrensingar',
+        search: 'Hopp til søkjefeltet',
+    },
+    en_US: {
+        label: 'Skip to',
+        results: 'Skip to search results',
+        facets: 'Skip to filters',
+        search: 'Skip to search field',
+    },
+    se_NO: {
+        label: 'Njuikke',
+        results: 'Njuikke ohcanbohtosiidda',
+        facets: 'Njuikke ráddjemiidda',
+        search: 'Njuikke ohcanruktái',
+    },
+};
+
+class UioSkipLinksController {
+
+    constructor($element, $window, $state, loggingService, uioConfig) {
+        this.$element = $element;
+        this.$window = $window;
+        this.$state = $state;
+        this.loggingService = loggingService;
+        this.enabled = uioConfig.accessibility.skipLinks;
+        this.targets = TARGETS;
+
+        // The targets found on the current page, updated in $doCheck
+        this.available = [];
+    }
+
+    $postLink() {
+        if (this.enabled) {
+            let body = this.$window.document.body;
+            body.insertBefore(this.$element[0], body.firstChild);
+        }
+    }
+
+    $onDestroy() {
+        this.$element.remove();
+    }
+
+    $doCheck() {
+        let lang = this.$state.params.lang || this.loggingService.getUserLanguage();
+        if (lang !== this.lang) {
+            this.lang = lang;
+            this.strings = localize(strings, lang);
+        }
+
+        // Parts of the page come and go without state changes, like the
+        // results, so look for them here. The list is only replaced when
+        // it changes, so ng-repeat has nothing to do otherwise.
+        let available = this.enabled ? this.targets.filter(target => this.isAvailable(target)) : [];
+        if (available.length != this.available.length || available.some((target, idx) => target !== this.available[idx])) {
+            this.available = available;
+        }
+    }
+
+    findTarget(target) {
+        for (let i = 0; i < target.selectors.length; i++) {
+            let el = this.$window.document.querySelector(target.selectors[i]);
+            if (el) {
+                return el;
+            }
+        }
+        return null;
+    }
+
+    isAvailable(target) {
+        return !!this.findTarget(target);
+    }
+
+    skipTo(target) {
+        let el = this.findTarget(target);
+        if (!el) {
+            return;
+        }
+        // Containers can't get focus unless we let them
+        if (!el.hasAttribute('tabindex') && !el.matches('a, button, input, select, textarea')) {
+            el.setAttribute('tabindex', '-1');
+        }
+        el.focus();
+        el.scrollIntoView();
+    }
+}
+
+UioSkipLinksController.$inject = ['$element', '$window', '$state', 'loggingService', 'uioConfig'];
+
+export default {
+    controller: UioSkipLinksController,
+    template: `
+    <nav class="uio-skip-links" ng-if="$ctrl.enabled" aria-label="{{ $ctrl.strings.label }}">
+        <a href="" ng-repeat="target in $ctrl.available"
+            ng-click="$ctrl.skipTo(target)">{{ $ctrl.strings[target.key] }}</a>
+    </nav>
+    `,
+};
@@ -0,0 +1,171 @@
+/**
+ * Panel in the full record view showing the record's subject headings from
+ * the subject vocabularies we maintain (Dewey, Humord and Realfagstermer),
+ * as chips linking to subject searches.
+ *
+ * Below the record's own subjects, we show the most frequent subjects in the
+ * current search results that the record doesn't have ("related subjects").
+ *
+ * The component is inserted from prmFullViewAfter. Clicks are logged as
+ * `subject_click` events.
+ */
+
+import get from 'lodash/get';
+import uniq from 'lodash/uniq';
+import { localize } from './i18n';
+import { serializeQuery, serializeFacets } from './query';
+
+// The vocabularies, in the order they are shown. Keys as in the `facets` and
+// `searchFacets` config.
+const VOCABULARIES = ['realfagstermer', 'humord', 'ddc'];
+
+const strings = {
+    no_NO: {
+        title: 'Emner',
+        related: 'Relaterte emner i trefflisten',
+        realfagstermer: 'Realfagstermer',
+        humord: 'Humord',
+        ddc: 'Dewey',
+        search: 'Søk etter emnet',
+    },
+    nn_NO: {
+        title: 'Emne',
+        related: 'Relaterte emne i trefflista',
+        realfagstermer: 'Realfagstermar',
+        humord: 'Humord',
+        ddc: 'Dewey',
+        search: 'Søk etter emnet',
+    },
+    en_US: {
+        title: 'Subjects',
+        related: 'Related subjects in the search results',
+        realfagstermer: 'Realfagstermer (science)',
+        humord: 'Humord (humanities and social sciences)',
+        ddc: 'Dewey',
+        search: 'Search for the subject',
+    },
+    se_NO: {
+        title: 'Fáttát',
+        related: 'Čanastuvvon fáttát bohtosiin',
+        realfagstermer: 'Realfagstermer',
+        humord: 'Humord',
+        ddc: 'Dewey',
+        search: 'Oza fáttá',
+    },
+};
+
+class UioSubjectPanelController {
+
+    constructor($state, loggingService, primoService, uioConfig) {
+        this.$state = $state;
+        this.loggingService = loggingService;
+        this.primoService = primoService;
+        this.facets = uioConfig.facets;
+        this.searchFacets = uioConfig.searchFacets;
+        this.config = uioConfig.subjects;
+    }
+
+    $onChanges() {
+        let lang = this.$state.params.lang || this.loggingService.getUserLanguage();
+        this.strings = localize(strings, lang);
+
+        this.groups = VOCABULARIES.map(vocabulary => ({
+            vocabulary: vocabulary,
+            label: this.strings[vocabulary],
+            subjects: this.getSubjects(this.record, vocabulary).map(term => this.buildSubject(vocabulary, term)),
+        })).filter(group => group.subjects.length);
+
+        this.related = this.getRelated().map(subject => this.buildSubject(subject.vocabulary, subject.term));
+    }
+
+    getSubjects(record, vocabulary) {
+        return uniq(get(record, ['pnx', 'facets', this.facets[vocabulary]], []));
+    }
+
+    /**
+     * The most frequent subjects in the current search results, not
+     * including the subjects of the record itself.
+     */
+    getRelated() {
+        let docs = get(this.primoService.getSearch(), 'result.data', []);
+        let counts = {};
+
+        VOCABULARIES.forEach(vocabulary => {
+            let own = this.getSubjects(this.record, vocabulary);
+            docs.forEach(doc => {
+                this.getSubjects(doc, vocabulary).filter(term => own.indexOf(term) == -1).forEach(term => {
+                    let key = `${vocabulary}:${term}`;
+                    counts[key] = counts[key] || {vocabulary: vocabulary, term: term, count: 0};
+                    counts[key].count++;
+                });
+            });
+        });
+
+        return Object.keys(counts)
+            .map(key => counts[key])
+            .filter(subject => subject.count >= this.config.relatedMinCount)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, this.config.related);
+    }
+
+    /**
+     * A subject search: the term as a phrase, limited to records having the
+     * term in the vocabulary's facet field.
+     */
+    buildSubject(vocabulary, term) {
+        let params = Object.assign({}, this.$state.params, {
+            query: serializeQuery({
+                array: false,
+                parts: [{field: 'any', precision: 'exact', term: term, operator: null}],
+            }),
+            facet: serializeFacets({
+                array: false,
+                facets: [{name: this.searchFacets[vocabulary], type: 'include', value: term}],
+            }),
+            pfilter: undefined,
+            mode: undefined,
+            offset: 0,
+        });
+        return {
+            vocabulary: vocabulary,
+            term: term,
+            href: this.$state.href('exploreMain.search', params),
+        };
+    }
+
+    choose(subject, related) {
+        this.loggingService.trackSubjectClick(this.record, subject.vocabulary, subject.term, related);
+    }
+}
+
+UioSubjectPanelController.$inject = ['$state', 'loggingService', 'primoService', 'uioConfig'];
+
+export default {
+    bindings: {record: '<'},
+    controller: UioSubjectPanelController,
+    template: `
+    <div class="uio-subjects" ng-if="$ctrl.groups.length || $ctrl.related.length">
+        <h2 class="section-title md-title light-text">{{ $ctrl.strings.title }}</h2>
+
+        <div class="uio-subjects-group" ng-repeat="group in $ctrl.groups">
+            <h3>{{ group.label }}</h3>
+            <ul class="uio-subjects-chips">
+                <li ng-repeat="subject in group.subjects">
+                    <a ng-href="{{ subject.href }}" ng-click="$ctrl.choose(subject, false)"
+                       title="{{ $ctrl.strings.search }}: {{ subject.term }}">{{ subject.term }}</a>
+                </li>
+            </ul>
+        </div>
+
+        <div class="uio-subjects-group" ng-if="$ctrl.related.length">
+            <h3>{{ $ctrl.strings.related }}</h3>
+            <ul class="uio-subjects-chips uio-subjects-related">
+                <li ng-repeat="subject in $ctrl.related">
+                    <a ng-href="{{ subject.href }}" ng-click="$ctrl.choose(subject, true)"
+                       title="{{ $ctrl.strings[subject.vocabulary] }}">{{ subject.term }}</a>
+                </li>
+            </ul>
+        </div>
+    </div>
+    `,
+};
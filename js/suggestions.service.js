@@ -0,0 +1,143 @@
+/**
+ * Query suggestions for the search bar, see searchSuggestions.component.js.
+ *
+ * Suggestions come from three sources, shown in this order:
+ *
+ *  - `recent`: the user's own recent searches (searchHistory.service.js)
+ *  - `subject`: Humord and Realfagstermer terms, from the Skosmos API
+ *  - `endpoint`: a configurable suggestion endpoint, if any
+ *
+ * The endpoint URL takes `{query}` and `{lang}` placeholders, and must return
+ * a JSON list of strings, or an object with a `suggestions` list of strings.
+ * For local testing, point it to a static JSON file, for instance by setting
+ * `window.appConfig.uioConfig = {suggestions: {url: '/custom/UIO/suggestions.json'}}`.
+ *
+ * A failing source is ignored, so the other sources are still shown.
+ */
+
+import get from 'lodash/get';
+import { format } from './i18n';
+
+// Primo language codes to Skosmos language codes
+const SKOSMOS_LANGUAGES = {
+    no_NO: 'nb',
+    nn_NO: 'nn',
+    en_US: 'en',
+    se_NO: 'nb',
+};
+
+class SuggestionsService {
+
+    constructor($window, $q, searchHistoryService, uioConfig) {
+        this.$window = $window;
+        this.$q = $q;
+        this.searchHistory = searchHistoryService;
+        this.config = uioConfig.suggestions;
+    }
+
+    /****************************************************************************
+     * Internal methods
+     ****************************************************************************/
+
+    getRecent(text) {
+        let lower = text.toLowerCase();
+        return this.searchHistory.getEntries()
+            .map(entry => entry.text)
+            .filter(x => x.toLowerCase().indexOf(lower) == 0 && x.toLowerCase() != lower)
+            .slice(0, this.config.maxRecent);
+    }
+
+    /**
+     * Get JSON from one of the sources. Returns a promise for the parsed
+     * response, rejected if the request fails.
+     */
+    getJson(url) {
+        // Don't use $http since the sources are on other servers: Primo's
+        // default headers would need a CORS preflight, and the calls should
+        // not pass through Primo's interceptors.
+        let deferred = this.$q.defer();
+        let req = new this.$window.XMLHttpRequest();
+        req.open('GET', url);
+        req.timeout = this.config.timeout;
+        req.onload = () => {
+            if (req.status < 200 || req.status >= 300) {
+                deferred.reject(req.status);
+                return;
+            }
+            try {
+                deferred.resolve(JSON.parse(req.responseText));
+            } catch (e) {
+                deferred.reject(e);
+            }
+        };
+        req.onerror = () => deferred.reject();
+        req.ontimeout = () => deferred.reject();
+        req.send();
+        return deferred.promise;
+    }
+
+    getSubjects(text, lang) {
+        let requests = this.config.vocabularies.map(vocab => this.getJson(format(this.config.subjectsUrl, {
+            vocab: vocab,
+            query: encodeURIComponent(text),
+            lang: SKOSMOS_LANGUAGES[lang] || 'nb',
+        })).then(
+            data => get(data, 'results', []).map(result => result.prefLabel),
+            () => []
+        ));
+        return this.$q.all(requests).then(results => [].concat.apply([], results).slice(0, this.config.maxSubjects));
+    }
+
+    getFromEndpoint(text, lang) {
+        if (!this.config.url) {
+            return this.$q.resolve([]);
+        }
+        return this.getJson(format(this.config.url, {
+            query: encodeURIComponent(text),
+            lang: lang,
+        })).then(
+            data => {
+                let list = Array.isArray(data) ? data : get(data, 'suggestions', []);
+                return list.filter(x => typeof x == 'string').slice(0, this.config.maxEndpoint);
+            },
+            () => []
+        );
+    }
+
+    /****************************************************************************
+     * Public interface
+     ****************************************************************************/
+
+    /**
+     * Get suggestions for a partial query. Returns a promise for a list of
+     * {text, source}, without duplicates.
+     */
+    getSuggestions(text, lang) {
+        text = text.trim();
+        if (text.length < this.config.minLength) {
+            return this.$q.resolve([]);
+        }
+        return this.$q.all([
+            this.$q.resolve(this.getRecent(text)),
+            this.getSubjects(text, lang),
+            this.getFromEndpoint(text, lang),
+        ]).then(([recent, subjects, endpoint]) => {
+            let seen = {};
+            let suggestions = [];
+            [['recent', recent], ['subject', subjects], ['endpoint', endpoint]].forEach(([source, list]) => {
+                list.forEach(x => {
+                    let key = x.toLowerCase();
+                    if (!seen[key]) {
+                        seen[key] = true;
+                        suggestions.push({text: x, source: source});
+                    }
+                });
+            });
+            return suggestions.slice(0, this.config.max);
+        });
+    }
+}
+
+SuggestionsService.$inject = ['$window', '$q', 'searchHistoryService', 'uioConfig'];
+
+export default SuggestionsService;
@@ -1,3 +0,0 @@
-// Define the view name here.
-const viewName = 'UIO';
-export default viewName;
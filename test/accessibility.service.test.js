@@ -0,0 +1,91 @@
+import { loadModule, changeState } from './helpers';
+
+describe('accessibility', () => {
+    let ctx = loadModule();
+    let accessibilityService, $rootScope, $timeout;
+
+    beforeEach(angular.mock.inject((_accessibilityService_, _$rootScope_, _$timeout_) => {
+        accessibilityService = _accessibilityService_;
+        $rootScope = _$rootScope_;
+        $timeout = _$timeout_;
+        changeState($rootScope, 'exploreMain.search');
+        document.body.innerHTML = '<input id="searchBar"><button class="result">Fisk</button>';
+    }));
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    // Let the MutationObservers run
+    function nextTick() {
+        return new Promise(resolve => window.setTimeout(resolve));
+    }
+
+    describe('accessibilityService', () => {
+        it('announces the number of results', () => {
+            $rootScope.$broadcast('uioSearchLoaded', {total: 1234, first: 11, last: 20, page_no: 2});
+            $timeout.flush();
+            let region = document.querySelector('.uio-live-region');
+            expect(region.getAttribute('aria-live')).toBe('polite');
+            expect(region.textContent).toBe(`${(1234).toLocaleString()} treff. Viser 11 til 20, side 2.`);
+
+            $rootScope.$broadcast('uioSearchLoaded', {total: 0});
+            $timeout.flush();
+            expect(region.textContent).toBe('Ingen treff.');
+        });
+
+        it('restores focus when a full record is closed', () => {
+            document.querySelector('.result').focus();
+            document.body.insertAdjacentHTML('beforeend', '<prm-full-view-service-container><div><button class="close">Close</button></div></prm-full-view-service-container>');
+            document.querySelector('.close').focus();
+
+            // Angular removes the full record without focusing anything else
+            document.body.removeChild(document.querySelector('prm-full-view-service-container'));
+            accessibilityService.restoreFocus();
+            $timeout.flush();
+            expect(document.activeElement.className).toBe('result');
+        });
+
+        it('restores focus when a dialog is removed from the body', () => {
+            document.querySelector('.result').focus();
+            document.body.insertAdjacentHTML('beforeend', '<div class="md-dialog-container"><md-dialog><button>OK</button></md-dialog></div>');
+            document.querySelector('md-dialog button').focus();
+            document.body.removeChild(document.querySelector('.md-dialog-container'));
+
+            return nextTick().then(() => {
+                $timeout.flush();
+                expect(document.activeElement.className).toBe('result');
+            });
+        });
+
+        it('falls back to the search field if the element that had focus is gone', () => {
+            document.querySelector('.result').focus();
+            document.body.removeChild(document.querySelector('.result'));
+            accessibilityService.restoreFocus();
+            $timeout.flush();
+            expect(document.activeElement.id).toBe('searchBar');
+        });
+    });
+
+    describe('uioSkipLinks', () => {
+        it('links to the parts found on the page', () => {
+            let ctrl = ctx.create('uioSkipLinks');
+            ctrl.$doCheck();
+            expect(ctrl.available.map(target => target.key)).toEqual(['search']);
+
+            let available = ctrl.available;
+            ctrl.$doCheck();
+            expect(ctrl.available).toBe(available);
+
+            document.body.insertAdjacentHTML('beforeend', '<prm-search-result-list><div id="searchResultsContainer"></div></prm-search-result-list>');
+            ctrl.$doCheck();
+            expect(ctrl.available.map(target => target.key)).toEqual(['results', 'search']);
+
+            // Not implemented by jsdom
+            window.HTMLElement.prototype.scrollIntoView = jest.fn();
+            ctrl.skipTo(ctrl.available[0]);
+            expect(document.activeElement.id).toBe('searchResultsContainer');
+            delete window.HTMLElement.prototype.scrollIntoView;
+        });
+    });
+});
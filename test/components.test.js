@@ -0,0 +1,367 @@
+import {
+    loadModule,
+    changeState,
+    eventsOf,
+    fakeSearchStateService,
+    fakeUserSessionManagerService,
+    fakeBrowseServices,
+} from './helpers';
+import { localBook, article, searchResponse } from './fixtures/pnx';
+
+describe('prm*After components', () => {
+    let ctx = loadModule();
+    let $componentController, $rootScope, $timeout, primoService, loggingService;
+
+    beforeEach(angular.mock.inject((_$componentController_, _$rootScope_, _$timeout_, _primoService_, _loggingService_) => {
+        $componentController = _$componentController_;
+        $rootScope = _$rootScope_;
+        $timeout = _$timeout_;
+        primoService = _primoService_;
+        loggingService = _loggingService_;
+        changeState($rootScope, 'exploreMain.search');
+    }));
+
+    function create(name, parentCtrl, locals) {
+        let element = angular.element('<div><span></span></div>');
+        return $componentController(name, Object.assign({
+            $scope: $rootScope.$new(),
+            $element: angular.element(element[0].firstChild),
+        }, locals), {parentCtrl: parentCtrl});
+    }
+
+    describe('prmSearchResultListAfter', () => {
+        it('connects the searchStateService', () => {
+            let service = fakeSearchStateService({query: 'any,contains,fisk'}, {data: searchResponse.docs});
+            create('prmSearchResultListAfter', {searchService: {searchStateService: service}});
+            expect(primoService.getSearch().search.query).toBe('any,contains,fisk');
+            expect(primoService.getSearch().result.data.length).toBe(2);
+        });
+    });
+
+    describe('prmSilentLoginAfter', () => {
+        it('connects the userSessionManagerService', () => {
+            create('prmSilentLoginAfter', {userSessionManagerService: fakeUserSessionManagerService('', 'nn_NO')});
+            expect(primoService.getUser()).toEqual({loggedIn: false, lang: 'nn_NO'});
+        });
+    });
+
+    describe('prmSearchAfter', () => {
+        it('tracks the front page once', () => {
+            let ctrl = create('prmSearchAfter', {});
+            ctrl.$doCheck();
+            ctrl.$doCheck();
+            expect(eventsOf(ctx.sink, 'goto_home').length).toBe(1);
+            expect(ctrl.isFrontPage).toBe(true);
+        });
+
+        it('is not the front page when there is a query', () => {
+            ctx.$state.params.query = 'any,contains,fisk';
+            let ctrl = create('prmSearchAfter', {});
+            ctrl.$doCheck();
+            expect(ctrl.isFrontPage).toBe(false);
+            expect(eventsOf(ctx.sink, 'goto_home').length).toBe(0);
+        });
+    });
+
+    describe('prmBrowseSearchAfter', () => {
+        it('tracks the browse type and page', () => {
+            ctx.$state.params.browseQuery = 'fisk';
+            ctx.$state.params.browseScope = 'subject';
+            let ctrl = create('prmBrowseSearchAfter', fakeBrowseServices('fisk', 'subject'));
+            ctrl.trackBrowse();
+
+            let data = eventsOf(ctx.sink, 'browse')[0].data;
+            expect(data).toEqual(expect.objectContaining({
+                type: 'subject',
+                query: 'fisk',
+                direction: 'new',
+                page: 1,
+            }));
+        });
+
+        it('tracks the paging direction, but not other buttons', () => {
+            let ctrl = create('prmBrowseSearchAfter', fakeBrowseServices('fisk', 'subject'));
+            ctrl.$postLink();
+            let parent = ctrl.$element.parent()[0];
+            parent.insertAdjacentHTML('beforeend', `
+                <button class="record-preview">Preview</button>
+                <button class="md-button next">Next</button>
+            `);
+            jest.spyOn(loggingService, 'setBrowseDirection');
+
+            parent.querySelector('.record-preview').click();
+            expect(loggingService.setBrowseDirection).not.toHaveBeenCalled();
+            parent.querySelector('.next').click();
+            expect(loggingService.setBrowseDirection).toHaveBeenCalledWith('next');
+            ctrl.$onDestroy();
+        });
+
+        it('knows the browse types', () => {
+            let ctrl = create('prmBrowseSearchAfter', fakeBrowseServices());
+            expect(ctrl.getBrowseType('callnumber.0')).toBe('call_number');
+            expect(ctrl.getBrowseType('creator')).toBe('author');
+            expect(ctrl.getBrowseType('title')).toBe('title');
+        });
+    });
+
+    describe('prmBriefResultContainerAfter', () => {
+        function search(docs) {
+            loggingService.trackApiCall({
+                api: 'search',
+                method: 'GET',
+                params: {q: 'any,contains,fisk', scope: 'default_scope', offset: 0, limit: 10},
+                data: {info: {first: 1, last: docs.length, total: docs.length}, docs: docs},
+            });
+        }
+
+        it('tracks the position the result had when it was shown', () => {
+            search(searchResponse.docs);
+            let ctrl = create('prmBriefResultContainerAfter', {item: article, index: 1});
+            ctrl.$postLink();
+            $timeout.flush();
+            ctrl.seen = true;
+
+            // The next search replaces the positions before the result is destroyed
+            search([localBook]);
+            ctrl.$onDestroy();
+
+            let impressions = eventsOf(ctx.sink, 'result_impression');
+            expect(impressions.length).toBe(1);
+            expect(impressions[0].data).toEqual(expect.objectContaining({
+                id: 'TN_crossref10.1016/j.aquaculture.2017.01.001',
+                rank: 2,
+                search_action_no: eventsOf(ctx.sink, 'search')[0].action_no,
+            }));
+        });
+
+        it('sends the impression when the page is hidden', () => {
+            search(searchResponse.docs);
+            let ctrl = create('prmBriefResultContainerAfter', {item: localBook, index: 0});
+            ctrl.$postLink();
+            $timeout.flush();
+            ctrl.seen = true;
+
+            window.dispatchEvent(new Event('pagehide'));
+            ctrl.$onDestroy();
+
+            let impressions = eventsOf(ctx.sink, 'result_impression');
+            expect(impressions.length).toBe(1);
+            expect(impressions[0].data.rank).toBe(1);
+        });
+
+        it('does not set up the result after it is destroyed', () => {
+            let ctrl = create('prmBriefResultContainerAfter', {item: localBook, index: 0});
+            ctrl.$postLink();
+            ctrl.$onDestroy();
+            $timeout.verifyNoPendingTasks();
+            expect(ctrl.container).toBeUndefined();
+        });
+
+        it('sends no impression if the result was never seen', () => {
+            let ctrl = create('prmBriefResultContainerAfter', {item: localBook, index: 0});
+            ctrl.$onDestroy();
+            expect(eventsOf(ctx.sink, 'result_impression')).toEqual([]);
+        });
+    });
+
+    describe('prmFullViewAfter', () => {
+        it('tracks opening and leaving a record', () => {
+            let ctrl = create('prmFullViewAfter', {item: localBook});
+            expect(eventsOf(ctx.sink, 'view_record')[0].data.id).toBe('BIBSYS_ILS71512824540002201');
+
+            ctrl.$onDestroy();
+            let data = eventsOf(ctx.sink, 'leave_record')[0].data;
+            expect(data.id).toBe('BIBSYS_ILS71512824540002201');
+            expect(data.fulltext_clicked).toBe(false);
+            expect(data.sections_seen).toEqual([]);
+        });
+
+        it('does not set up the record after it is destroyed', () => {
+            let ctrl = create('prmFullViewAfter', {item: localBook});
+            ctrl.$postLink();
+            ctrl.$onDestroy();
+            $timeout.flush();
+            expect(ctrl.container).toBeUndefined();
+        });
+
+        describe('sections', () => {
+            let observed;
+
+            // jsdom has no IntersectionObserver, so every observed section is visible
+            class FakeIntersectionObserver {
+                constructor(callback) {
+                    this.callback = callback;
+                }
+                observe(target) {
+                    observed.push(target);
+                    this.callback([{target: target, isIntersecting: true}]);
+                }
+                unobserve() {}
+                disconnect() {}
+            }
+
+            beforeEach(() => {
+                observed = [];
+                window.IntersectionObserver = FakeIntersectionObserver;
+            });
+
+            afterEach(() => {
+                delete window.IntersectionObserver;
+            });
+
+            it('picks up sections rendered after the record is shown', () => {
+                let ctrl = create('prmFullViewAfter', {item: localBook});
+                let container = ctrl.$element.parent()[0];
+                container.insertAdjacentHTML('beforeend', '<div id="details"></div>');
+                ctrl.$postLink();
+                $timeout.flush();
+                expect(ctrl.sectionsSeen).toEqual(['details']);
+
+                // Get It and View It arrive with the delivery information
+                container.insertAdjacentHTML('beforeend', '<div><div id="getit_link1_0"></div><div id="getit_link2"></div></div>');
+
+                return new Promise(resolve => window.setTimeout(resolve)).then(() => {
+                    expect(observed.map(el => el.id)).toEqual(['details', 'getit_link1_0', 'getit_link2']);
+                    ctrl.$onDestroy();
+                    let data = eventsOf(ctx.sink, 'leave_record')[0].data;
+                    expect(data.sections_seen).toEqual(['details', 'get_it', 'view_it']);
+                });
+            });
+        });
+    });
+
+    describe('uioSubjectPanel', () => {
+        it('links to a subject search limited to the facet', () => {
+            ctx.$state.href = jest.fn(() => '#');
+            let ctrl = $componentController('uioSubjectPanel', {$scope: $rootScope.$new()}, {record: localBook});
+            ctrl.buildSubject('humord', 'Fisk, oppdrett');
+
+            expect(ctx.$state.href).toHaveBeenCalledWith('exploreMain.search', expect.objectContaining({
+                query: 'any,exact,Fisk, oppdrett',
+                facet: 'local14,include,Fisk, oppdrett',
+                offset: 0,
+            }));
+        });
+    });
+
+    describe('prmActionListAfter', () => {
+        let ctrl, parent;
+
+        beforeEach(() => {
+            ctrl = create('prmActionListAfter', {item: localBook});
+            parent = ctrl.$element.parent()[0];
+            parent.insertAdjacentHTML('beforeend', `
+                <prm-send-email>
+                    <form>
+                        <div class="g-recaptcha"><button>I'm not a robot</button></div>
+                        <button type="button"><span translate="nui.send_email.cancel">Cancel</span></button>
+                        <button type="submit"><span translate="email.popup.link.send">Send</span></button>
+                    </form>
+                </prm-send-email>
+                <prm-citation>
+                    <button class="close-button" aria-label="close"></button>
+                    <md-tab-item>APA (6th)</md-tab-item>
+                    <md-tab-item>Chicago/Turabian (16th)</md-tab-item>
+                    <button><span translate="nui.citation.copy">Copy</span></button>
+                </prm-citation>
+                <prm-print-item>
+                    <button><span translate="nui.print.full_record">Print</span></button>
+                </prm-print-item>
+            `);
+            ctrl.$postLink();
+        });
+
+        afterEach(() => ctrl.$onDestroy());
+
+        function choices() {
+            return eventsOf(ctx.sink, 'send_to').map(event => [event.data.service, event.data.step, event.data.choice]);
+        }
+
+        it('tracks the e-mail submit button only', () => {
+            parent.querySelector('.g-recaptcha button').click();
+            parent.querySelector('[translate="nui.send_email.cancel"]').click();
+            expect(choices()).toEqual([]);
+
+            parent.querySelector('[translate="email.popup.link.send"]').click();
+            expect(choices()).toEqual([['email', 'submit', 'email.popup.link.send']]);
+        });
+
+        it('tracks the result of sending the e-mail, but not validation messages', () => {
+            let form = parent.querySelector('prm-send-email form');
+            form.classList.add('ng-invalid');
+            parent.querySelector('[translate="email.popup.link.send"]').click();
+            form.insertAdjacentHTML('beforeend', '<div ng-message="required"><span translate="nui.send_email.error.required"></span></div>');
+            expect(ctrl.emailObserver).toBeFalsy();
+
+            form.classList.remove('ng-invalid');
+            parent.querySelector('[translate="email.popup.link.send"]').click();
+            form.insertAdjacentHTML('beforeend', '<span translate="nui.send_email.error.invalid"></span>');
+
+            return new Promise(resolve => window.setTimeout(resolve)).then(() => {
+                expect(choices()).toEqual([['email', 'submit', 'email.popup.link.send']]);
+                form.insertAdjacentHTML('beforeend', '<span translate="email.popup.message.fail"></span>');
+                return new Promise(resolve => window.setTimeout(resolve));
+            }).then(() => {
+                expect(choices()[1]).toEqual(['email', 'result', 'failure']);
+            });
+        });
+
+        it('tracks the citation style and copy, but not close', () => {
+            parent.querySelector('prm-citation .close-button').click();
+            parent.querySelectorAll('md-tab-item')[1].click();
+            parent.querySelector('[translate="nui.citation.copy"]').click();
+            expect(choices()).toEqual([
+                ['citation', 'style', 'Chicago/Turabian (16th)'],
+                ['citation', 'copy', 'nui.citation.copy'],
+            ]);
+        });
+
+        it('tracks the print choice', () => {
+            parent.querySelector('[translate="nui.print.full_record"]').click();
+            expect(choices()).toEqual([['print', 'print', 'nui.print.full_record']]);
+        });
+    });
+
+    describe('prmSearchBarAfter', () => {
+        it('describes the selected scope', () => {
+            let ctrl = create('prmSearchBarAfter', {_selectedTab: 'local_uio', _selectedScope: 'local_scope'});
+            ctrl.$doCheck();
+            expect(ctrl.getHint().placeholder).toBe('Søk etter bøker og tidsskrifter ved UiO');
+        });
+
+        it('describes the search field by the hint only when there is one', () => {
+            let parentCtrl = {_selectedTab: 'local_uio', _selectedScope: 'local_scope'};
+            let ctrl = create('prmSearchBarAfter', parentCtrl);
+            let parent = ctrl.$element.parent()[0];
+            parent.insertAdjacentHTML('beforeend', '<input id="searchBar" aria-describedby="primo-hint">');
+            let input = parent.querySelector('#searchBar');
+
+            ctrl.applyHint();
+            expect(input.getAttribute('aria-describedby')).toBe('primo-hint uio-search-hint');
+
+            parentCtrl._selectedTab = 'other';
+            parentCtrl._selectedScope = 'other';
+            ctrl.applyHint();
+            expect(input.getAttribute('aria-describedby')).toBe('primo-hint');
+
+            input.removeAttribute('aria-describedby');
+            ctrl.applyHint();
+            expect(input.hasAttribute('aria-describedby')).toBe(false);
+        });
+
+        it('searches for an accepted suggestion in the selected scope', () => {
+            let parentCtrl = {_selectedTab: 'local_uio', _selectedScope: 'local_scope'};
+            let ctrl = create('prmSearchBarAfter', parentCtrl);
+            ctrl.searchFor('fisk, laks');
+
+            expect(parentCtrl.mainSearchField).toBe('fisk, laks');
+            expect(ctx.$state.go).toHaveBeenCalledWith('exploreMain.search', expect.objectContaining({
+                query: 'any,contains,fisk, laks',
+                tab: 'local_uio',
+                search_scope: 'local_scope',
+                mode: 'basic',
+                offset: 0,
+            }));
+        });
+    });
+});
@@ -0,0 +1,48 @@
+import ConfigProvider from '../js/config.provider';
+
+describe('uioConfigProvider', () => {
+
+    function build(search, appConfig) {
+        return new ConfigProvider().build({location: {search: search}, appConfig: appConfig});
+    }
+
+    it('picks the view from the vid parameter', () => {
+        expect(build('?vid=UIO_TEST').viewName).toBe('UIO_TEST');
+        expect(build('?vid=UIO_TEST').slurp.debug).toBe(true);
+        expect(build('').viewName).toBe('UIO');
+    });
+
+    it('allows some values to be overridden using URL parameters', () => {
+        let config = build('?vid=UIO&uio.slurp.debug=true&uio.slurp.console=true&uio.kiosk.enabled=true');
+        expect(config.slurp.debug).toBe(true);
+        expect(config.slurp.console).toBe(true);
+        expect(config.kiosk.enabled).toBe(true);
+    });
+
+    it('skips parameters that cannot be decoded', () => {
+        let config = build('?vid=UIO_TEST&query=any,contains,50%off&uio.slurp.console=true');
+        expect(config.viewName).toBe('UIO_TEST');
+        expect(config.slurp.console).toBe(true);
+    });
+
+    it('does not allow URLs to be overridden using URL parameters', () => {
+        let config = build('?vid=UIO' + [
+            'uio.slurp.url=https://evil.example/',
+            'uio.suggestions.url=https://evil.example/',
+            'uio.openingHours.url=https://evil.example/',
+            'uio.kiosk.homeUrl=https://evil.example/',
+            'uio.kiosk.inactivityTimeout=1',
+        ].map(param => '&' + encodeURI(param)).join(''));
+
+        expect(config.slurp.url).toBe('https://ub-www01.uio.no/slurp/');
+        expect(config.suggestions.url).toBeNull();
+        expect(config.openingHours.url).toBeNull();
+        expect(config.kiosk.homeUrl).toBeNull();
+        expect(config.kiosk.inactivityTimeout).toBe(3 * 60);
+    });
+
+    it('allows anything to be overridden using window.appConfig.uioConfig', () => {
+        let config = build('', {uioConfig: {openingHours: {url: 'https://example.org/hours.json'}}});
+        expect(config.openingHours.url).toBe('https://example.org/hours.json');
+    });
+});
@@ -0,0 +1,74 @@
+import { ErrorReporter } from '../js/errorReporter';
+
+describe('ErrorReporter', () => {
+    let reporter, sent, listeners;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-10-19T12:00:00Z'));
+        sent = [];
+        listeners = {};
+        let $window = {
+            location: {pathname: '/primo-explore/search', search: '?vid=UIO'},
+            addEventListener: (name, fn) => {
+                listeners[name] = fn;
+            },
+        };
+        reporter = new ErrorReporter($window, {dedupeInterval: 60, maxPerMinute: 3, maxPerPage: 5}, data => {
+            sent.push(data);
+        }, () => ({primo_version: '1.0'}));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    function advance(seconds) {
+        jest.setSystemTime(Date.now() + seconds * 1000);
+    }
+
+    it('reports an error with its context', () => {
+        reporter.report(new TypeError('x is undefined'), 'angular', {cause: 'digest'});
+        expect(sent).toEqual([expect.objectContaining({
+            source: 'angular',
+            name: 'TypeError',
+            message: 'x is undefined',
+            suppressed: 0,
+            extra: {cause: 'digest'},
+            url: '/primo-explore/search?vid=UIO',
+            context: {primo_version: '1.0'},
+        })]);
+    });
+
+    it('reports uncaught errors, but not cross-origin script errors', () => {
+        listeners.error({message: 'Script error.'});
+        listeners.error({error: new Error('Oops'), filename: 'custom.js', lineno: 1, colno: 2});
+        listeners.unhandledrejection({reason: 'rejected'});
+        expect(sent.map(data => [data.source, data.message])).toEqual([
+            ['window', 'Oops'],
+            ['promise', 'rejected'],
+        ]);
+    });
+
+    it('reports repeated identical errors once per interval, with the number suppressed', () => {
+        reporter.report('Oops', 'tracked');
+        reporter.report('Oops', 'tracked');
+        reporter.report('Oops', 'tracked');
+        reporter.report('Oops', 'angular');
+        expect(sent.map(data => [data.source, data.suppressed])).toEqual([['tracked', 0], ['angular', 0]]);
+
+        advance(61);
+        reporter.report('Oops', 'tracked');
+        expect(sent.map(data => [data.source, data.suppressed])).toEqual([['tracked', 0], ['angular', 0], ['tracked', 2]]);
+    });
+
+    it('drops errors over the rate limit', () => {
+        ['a', 'b', 'c', 'd'].forEach(message => reporter.report(message, 'tracked'));
+        expect(sent.map(data => data.message)).toEqual(['a', 'b', 'c']);
+
+        // A new minute, but only five errors per page
+        advance(60);
+        ['e', 'f', 'g'].forEach(message => reporter.report(message, 'tracked'));
+        expect(sent.map(data => data.message)).toEqual(['a', 'b', 'c', 'e', 'f']);
+    });
+});
@@ -0,0 +1,73 @@
+import EventQueue from '../js/eventQueue';
+import { CapturedXhr } from './helpers';
+
+describe('EventQueue', () => {
+    let $window;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        CapturedXhr.requests = [];
+        $window = {
+            sessionStorage: window.sessionStorage,
+            navigator: {sendBeacon: jest.fn(() => true)},
+            document: {addEventListener: () => {}, visibilityState: 'visible'},
+            addEventListener: () => {},
+            setTimeout: (fn, delay) => window.setTimeout(fn, delay),
+            XMLHttpRequest: CapturedXhr,
+        };
+        window.sessionStorage.clear();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    function beacons() {
+        return $window.navigator.sendBeacon.mock.calls.map(call => JSON.parse(call[1]));
+    }
+
+    it('keeps events in memory once storage fails', () => {
+        $window.sessionStorage = {
+            getItem: () => null,
+            setItem: () => {
+                throw new Error('QuotaExceededError');
+            },
+        };
+        let queue = new EventQueue($window, 'https://example.org/slurp/');
+        queue.push({action: 'search'});
+        queue.push({action: 'view_record'});
+        expect(queue.size()).toBe(2);
+
+        jest.runOnlyPendingTimers();
+        expect(JSON.parse(CapturedXhr.requests[0].body)).toEqual([{action: 'search'}, {action: 'view_record'}]);
+        CapturedXhr.requests[0].respond(200);
+        expect(queue.size()).toBe(0);
+    });
+
+    it('does not send the events in flight again with the beacon', () => {
+        let queue = new EventQueue($window, 'https://example.org/slurp/');
+        queue.push({action: 'search'});
+        jest.runOnlyPendingTimers();
+        queue.push({action: 'view_record'});
+
+        queue.flushBeacon();
+        expect(beacons()).toEqual([[{action: 'view_record'}]]);
+        expect(queue.size()).toBe(1);
+
+        // The request in flight is still handled
+        CapturedXhr.requests[0].respond(200);
+        expect(queue.size()).toBe(0);
+        expect(CapturedXhr.requests.length).toBe(1);
+    });
+
+    it('keeps the events in flight if the request fails after the page is hidden', () => {
+        let queue = new EventQueue($window, 'https://example.org/slurp/');
+        queue.push({action: 'search'});
+        jest.runOnlyPendingTimers();
+
+        queue.flushBeacon();
+        CapturedXhr.requests[0].respond(0);
+        expect(beacons()).toEqual([]);
+        expect(JSON.parse(window.sessionStorage.getItem('slurpQueue')).map(item => item.payload)).toEqual([{action: 'search'}]);
+    });
+});
@@ -0,0 +1,98 @@
+import { loadModule, changeState, eventsOf } from './helpers';
+import { localBook } from './fixtures/pnx';
+
+describe('favourites', () => {
+    let ctx = loadModule();
+
+    beforeEach(angular.mock.inject(($rootScope) => {
+        changeState($rootScope, 'exploreMain.search');
+    }));
+
+    describe('prmSaveToFavoritesButtonAfter', () => {
+
+        // The component element, placed in the given container
+        function create(container) {
+            let root = angular.element(`<${container}><div><span></span></div></${container}>`)[0];
+            let ctrl = ctx.create('prmSaveToFavoritesButtonAfter', {item: localBook}, {
+                $element: angular.element(root.firstChild.firstChild),
+            });
+            ctrl.$postLink();
+            return ctrl;
+        }
+
+        function click(ctrl, className) {
+            let parent = ctx.parent(ctrl);
+            parent.insertAdjacentHTML('beforeend', `<button class="${className}"><span>Pin</span></button>`);
+            parent.querySelector(`.${className} span`).click();
+            ctrl.$onDestroy();
+        }
+
+        it('tracks pinning and unpinning with the context', () => {
+            click(create('prm-full-view'), 'pin-button');
+            click(create('prm-favorites'), 'unpin-button');
+            click(create('prm-brief-result-container'), 'pin-button');
+
+            let events = ctx.sink.events
+                .filter(event => event.action.match(/pin_record$/))
+                .map(event => [event.action, event.data.id, event.data.context]);
+            expect(events).toEqual([
+                ['pin_record', 'BIBSYS_ILS71512824540002201', 'full_view'],
+                ['unpin_record', 'BIBSYS_ILS71512824540002201', 'favorites'],
+                ['pin_record', 'BIBSYS_ILS71512824540002201', 'brief'],
+            ]);
+        });
+
+        it('ignores other buttons', () => {
+            click(create('prm-full-view'), 'other-button');
+            expect(eventsOf(ctx.sink, 'pin_record')).toEqual([]);
+        });
+    });
+
+    describe('prmFavoritesAfter', () => {
+        let ctrl, parent;
+
+        beforeEach(() => {
+            ctrl = ctx.create('prmFavoritesAfter', {});
+            parent = ctx.parent(ctrl);
+            parent.insertAdjacentHTML('beforeend', `
+                <prm-favorites-tool-bar>
+                    <button><span translate="nui.favorites.sort">Sort</span></button>
+                    <button aria-label="Export to Excel"></button>
+                </prm-favorites-tool-bar>
+                <prm-favorites-labels>
+                    <a>Fisk</a>
+                </prm-favorites-labels>
+                <prm-favorites-edit-labels-menu>
+                    <md-checkbox><span>Laks</span></md-checkbox>
+                </prm-favorites-edit-labels-menu>
+                <prm-favorites-record-labels>
+                    <prm-save-to-favorites-button><button class="unpin-button"></button></prm-save-to-favorites-button>
+                </prm-favorites-record-labels>
+                <button class="unrelated"></button>
+            `);
+            ctrl.$postLink();
+        });
+
+        afterEach(() => ctrl.$onDestroy());
+
+        it('tracks the favourites actions by group and button name', () => {
+            parent.querySelector('[translate="nui.favorites.sort"]').click();
+            parent.querySelector('[aria-label="Export to Excel"]').click();
+            parent.querySelector('prm-favorites-labels a').click();
+            parent.querySelector('md-checkbox span').click();
+
+            expect(eventsOf(ctx.sink, 'favorites_action').map(event => event.data)).toEqual([
+                {group: 'toolbar', name: 'nui.favorites.sort'},
+                {group: 'toolbar', name: 'Export to Excel'},
+                {group: 'labels', name: 'Fisk'},
+                {group: 'edit_labels', name: 'Laks'},
+            ]);
+        });
+
+        it('leaves the pin buttons and other buttons alone', () => {
+            parent.querySelector('.unpin-button').click();
+            parent.querySelector('.unrelated').click();
+            expect(eventsOf(ctx.sink, 'favorites_action')).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * PNX records and a PNX search API response, trimmed down to the fields we use.
+ */
+
+const localBook = {
+    context: 'L',
+    pnx: {
+        control: {
+            recordid: ['BIBSYS_ILS71512824540002201'],
+            sourcesystem: ['ILS'],
+            addsrcrecordid: ['991512824544702201'],
+        },
+        display: {
+            type: ['book'],
+            title: ['Fiskeoppdrett'],
+        },
+        facets: {
+            rsrctype: ['books'],
+            lfc10: ['639.3', '639.3'],
+            lfc14: ['Akvakultur'],
+            lfc20: ['Fisker', 'Oppdrett'],
+        },
+    },
+};
+
+const article = {
+    context: 'PC',
+    pnx: {
+        control: {
+            recordid: ['TN_crossref10.1016/j.aquaculture.2017.01.001'],
+            sourcesystem: ['Other'],
+        },
+        display: {
+            type: ['article'],
+            title: ['Salmon lice in aquaculture'],
+        },
+        facets: {
+            rsrctype: ['articles'],
+        },
+    },
+};
+
+const searchResponse = {
+    info: {
+        first: 1,
+        last: 2,
+        total: 2,
+    },
+    docs: [localBook, article],
+};
+
+export { localBook, article, searchResponse };
@@ -0,0 +1,54 @@
+import { loadModule } from './helpers';
+
+describe('uioFrontPage', () => {
+    let ctx = loadModule();
+    let $compile, $rootScope, consentService;
+
+    beforeEach(angular.mock.inject((_$compile_, _$rootScope_, _consentService_) => {
+        $compile = _$compile_;
+        $rootScope = _$rootScope_;
+        consentService = _consentService_;
+    }));
+
+    function render(lang, parentCtrl) {
+        ctx.$state.params.lang = lang;
+        let scope = $rootScope.$new();
+        scope.parentCtrl = parentCtrl;
+        let element = $compile('<uio-front-page parent-ctrl="parentCtrl"></uio-front-page>')(scope);
+        $rootScope.$digest();
+        return element[0];
+    }
+
+    function links(element, label) {
+        return [].slice.call(element.querySelectorAll('a')).filter(a => a.textContent.trim() == label);
+    }
+
+    it('renders the front page in Northern Sámi', () => {
+        let element = render('se_NO');
+        expect(element.textContent).toContain('Mas mun ozan?');
+        expect(element.textContent).toContain('Buot');
+    });
+
+    it('has a privacy settings link in every language', () => {
+        [
+            ['no_NO', 'Personverninnstillinger'],
+            ['nn_NO', 'Personverninnstillingar'],
+            ['en_US', 'Privacy settings'],
+            ['se_NO', 'Persovdnasuodjalanheivehusat'],
+        ].forEach(([lang, label]) => {
+            expect(links(render(lang), label).length).toBeGreaterThan(0);
+        });
+    });
+
+    it('opens the privacy settings from the Sámi footer', () => {
+        jest.spyOn(consentService, 'openSettings').mockImplementation(() => {});
+        links(render('se_NO'), 'Persovdnasuodjalanheivehusat')[0].click();
+        expect(consentService.openSettings).toHaveBeenCalled();
+    });
+
+    it('lays out the footer like Primo', () => {
+        let footer = render('no_NO', {mediaQueries: {lgPlus: true}, facetToLeft: false}).querySelector('footer.uio-footer');
+        expect(footer.classList.contains('visible')).toBe(true);
+        expect(footer.querySelector('[flex-lg="25"]').classList.contains('flex-lgPlus-30')).toBe(true);
+    });
+});
@@ -0,0 +1,36 @@
+import content from '../js/frontPage.content';
+
+/**
+ * All the translated texts in the content, except the link targets, which
+ * fall back to bokmål or English.
+ */
+function texts(obj, path, out) {
+    Object.keys(obj).forEach(key => {
+        let value = obj[key];
+        if (key == 'href' || !value || typeof value != 'object') {
+            return;
+        }
+        if (value.no_NO !== undefined) {
+            out.push({path: `${path}.${key}`, value: value});
+        } else {
+            texts(value, `${path}.${key}`, out);
+        }
+    });
+    return out;
+}
+
+describe('front page content', () => {
+    it('has Sámi versions of all texts', () => {
+        let missing = texts(content, 'content', [])
+            .filter(text => !text.value.se_NO)
+            .map(text => text.path);
+        expect(missing).toEqual([]);
+    });
+
+    it('has a Sámi label for the privacy settings link', () => {
+        let lines = [].concat.apply([], content.footer.columns.map(column => column.lines));
+        let privacy = lines.filter(line => line.action == 'privacySettings');
+        expect(privacy.length).toBeGreaterThan(0);
+        privacy.forEach(line => expect(line.label.se_NO).toBe('Persovdnasuodjalanheivehusat'));
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Fakes for the Primo internals we depend on (see the "Primo internals"
+ * section in the README), and helpers to load our module with them.
+ */
+
+import '../js/main';
+import { MemorySink } from '../js/sinks';
+
+const PRIMO_VERSION = '2.1.0';
+
+/**
+ * Fake ui-router `$state`. Primo's router isn't available in tests.
+ */
+function fakeState() {
+    return {
+        current: {name: 'exploreMain.search'},
+        params: {vid: 'UIO', lang: 'no_NO'},
+        go: jest.fn(),
+        href: (name, params) => `#${name}?${Object.keys(params || {}).join(',')}`,
+    };
+}
+
+/**
+ * Fake `searchStateService`, found on prmSearchBar and prmSearchResultList.
+ */
+function fakeSearchStateService(search, result) {
+    return {
+        isSearchInProgress: () => false,
+        getSearchObject: () => search || {},
+        getResultObject: () => result || {data: []},
+    };
+}
+
+/**
+ * Fake `userSessionManagerService`, found on prmSilentLogin.
+ */
+function fakeUserSessionManagerService(userName, lang) {
+    return {
+        getUserName: () => userName || '',
+        getUserLanguage: () => lang || 'no_NO',
+        signOut: jest.fn(),
+    };
+}
+
+/**
+ * Fake `browseSearchBarService` and `browseSearchService`, found on
+ * prmBrowseSearch.
+ */
+function fakeBrowseServices(input, scope) {
+    return {
+        browseSearchBarService: {searchBarInput: input},
+        browseSearchService: {searchedScope: scope},
+    };
+}
+
+/**
+ * Fake `window.appConfig`, set by Primo.
+ */
+function fakeAppConfig(version) {
+    return {
+        'system-configuration': {
+            Primo_Version_Number: version || PRIMO_VERSION,
+        },
+    };
+}
+
+/**
+ * Fake XMLHttpRequest that captures requests instead of sending them.
+ * Captured requests are in `CapturedXhr.requests`; call `respond(status)` on
+ * a request to complete it.
+ */
+class CapturedXhr {
+
+    open(method, url) {
+        this.method = method;
+        this.url = url;
+    }
+
+    send(body) {
+        this.body = body;
+        CapturedXhr.requests.push(this);
+    }
+
+    respond(status, body) {
+        this.status = status;
+        this.responseText = body === undefined ? '' : JSON.stringify(body);
+        this.onload();
+    }
+}
+CapturedXhr.requests = [];
+
+/**
+ * Load our module with fake Primo internals. Events are captured by a
+ * MemorySink instead of being sent. Returns an object that is filled in
+ * before each test with the `sink`, the fake `$state` and the `$injector`.
+ */
+function loadModule(options) {
+    options = options || {};
+    let ctx = {};
+
+    beforeEach(() => {
+        ctx.sink = new MemorySink();
+        ctx.$state = fakeState();
+
+        window.sessionStorage.clear();
+        window.localStorage.clear();
+        window.appConfig = fakeAppConfig(options.version);
+        window.XMLHttpRequest = CapturedXhr;
+        CapturedXhr.requests = [];
+
+        angular.mock.module('viewCustom', ($provide, $compileProvider, uioConfigProvider) => {
+            // Primo pre-assigns bindings, so `parentCtrl` is available in our constructors
+            $compileProvider.preAssignBindingsEnabled(true);
+            $provide.value('$state', ctx.$state);
+            $provide.factory('slurpSinks', () => [ctx.sink]);
+            if (options.config) {
+                uioConfigProvider.set(options.config);
+            }
+        });
+    });
+
+    beforeEach(angular.mock.inject(($injector) => {
+        ctx.$injector = $injector;
+    }));
+
+    /**
+     * Create a component controller with `parentCtrl` bound, like Primo does.
+     * The controller's element is placed in a parent element, which is
+     * where our components listen for events (`ctx.parent(ctrl)`).
+     */
+    ctx.create = (name, parentCtrl, locals) => {
+        let element = angular.element('<div><span></span></div>');
+        return ctx.$injector.get('$componentController')(name, Object.assign({
+            $scope: ctx.$injector.get('$rootScope').$new(),
+            $element: angular.element(element[0].firstChild),
+        }, locals), {parentCtrl: parentCtrl});
+    };
+
+    ctx.parent = (ctrl) => ctrl.$element.parent()[0];
+
+    return ctx;
+}
+
+/**
+ * Simulate a state change, which is needed before anything is tracked.
+ */
+function changeState($rootScope, name, params) {
+    $rootScope.$broadcast('$stateChangeSuccess', {name: name}, params || {}, {name: ''}, {});
+}
+
+/**
+ * The captured events with the given action.
+ */
+function eventsOf(sink, action) {
+    return sink.events.filter(event => event.action == action);
+}
+
+export {
+    fakeState,
+    fakeSearchStateService,
+    fakeUserSessionManagerService,
+    fakeBrowseServices,
+    fakeAppConfig,
+    CapturedXhr,
+    loadModule,
+    changeState,
+    eventsOf,
+};
@@ -0,0 +1,88 @@
+import { loadModule, changeState, fakeUserSessionManagerService } from './helpers';
+
+describe('kioskService', () => {
+    loadModule({config: {kiosk: {enabled: true, signOutTimeout: 5}}});
+    let kioskService, primoService, loggingService, $rootScope, $timeout, $q, location;
+
+    beforeEach(angular.mock.inject((_kioskService_, _primoService_, _loggingService_, _$rootScope_, _$timeout_, _$q_) => {
+        kioskService = _kioskService_;
+        primoService = _primoService_;
+        loggingService = _loggingService_;
+        $rootScope = _$rootScope_;
+        $timeout = _$timeout_;
+        $q = _$q_;
+        changeState($rootScope, 'exploreMain.search');
+
+        // jsdom can't navigate
+        location = {pathname: '/primo-explore/search', assign: jest.fn()};
+        kioskService.$window = {
+            document: window.document,
+            sessionStorage: window.sessionStorage,
+            localStorage: window.localStorage,
+            location: location,
+        };
+    }));
+
+    it('signs out before clearing storage and returning to the front page', () => {
+        let signOut = $q.defer();
+        let userSession = fakeUserSessionManagerService('user');
+        userSession.signOut.mockImplementation(() => {
+            // Primo needs its login token to sign out
+            expect(window.localStorage.getItem('primoExploreJwt')).toBe('token');
+            return signOut.promise;
+        });
+        primoService.connect({userSessionManagerService: userSession});
+        window.localStorage.setItem('primoExploreJwt', 'token');
+
+        kioskService.reset('user');
+        $rootScope.$digest();
+        expect(userSession.signOut).toHaveBeenCalled();
+        expect(location.assign).not.toHaveBeenCalled();
+
+        signOut.resolve();
+        $rootScope.$digest();
+        expect(window.localStorage.getItem('primoExploreJwt')).toBeNull();
+        expect(window.sessionStorage.getItem('uioKiosk')).toBe('1');
+        expect(location.assign).toHaveBeenCalledWith('/primo-explore/search?vid=UIO');
+    });
+
+    it('gives up waiting for the sign out after a timeout', () => {
+        let userSession = fakeUserSessionManagerService('user');
+        userSession.signOut.mockImplementation(() => $q.defer().promise);
+        primoService.connect({userSessionManagerService: userSession});
+
+        kioskService.reset('inactivity');
+        $rootScope.$digest();
+        expect(location.assign).not.toHaveBeenCalled();
+
+        $timeout.flush(5000);
+        expect(location.assign).toHaveBeenCalledTimes(1);
+    });
+
+    it('returns to the front page when storage is unavailable', () => {
+        let unavailable = () => {
+            throw new Error('SecurityError');
+        };
+        let storage = {getItem: unavailable, setItem: unavailable, clear: unavailable};
+        kioskService.$window.sessionStorage = storage;
+        kioskService.$window.localStorage = storage;
+        kioskService.searchHistory.clear = jest.fn();
+        expect(kioskService.getStoredFlag()).toBe(false);
+
+        kioskService.reset('user');
+        $rootScope.$digest();
+        expect(location.assign).toHaveBeenCalledWith('/primo-explore/search?vid=UIO');
+    });
+
+    it('reports a missing signOut()', () => {
+        let userSession = fakeUserSessionManagerService('user');
+        delete userSession.signOut;
+        primoService.connect({userSessionManagerService: userSession});
+        jest.spyOn(loggingService, 'trackError');
+
+        kioskService.reset('user');
+        $rootScope.$digest();
+        expect(loggingService.trackError).toHaveBeenCalledWith('userSessionManagerService.signOut() not found');
+        expect(location.assign).toHaveBeenCalledTimes(1);
+    });
+});
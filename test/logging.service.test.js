@@ -0,0 +1,197 @@
+import { loadModule, changeState, eventsOf, fakeUserSessionManagerService } from './helpers';
+import { localBook, article, searchResponse } from './fixtures/pnx';
+
+describe('loggingService', () => {
+    let ctx = loadModule();
+    let loggingService, primoService, $rootScope;
+
+    beforeEach(angular.mock.inject((_loggingService_, _primoService_, _$rootScope_) => {
+        loggingService = _loggingService_;
+        primoService = _primoService_;
+        $rootScope = _$rootScope_;
+    }));
+
+    function searchCall(params) {
+        return {
+            api: 'search',
+            method: 'GET',
+            params: Object.assign({q: 'any,contains,fisk', scope: 'default_scope', offset: 0, limit: 10}, params),
+            data: searchResponse,
+            backend_time: 120,
+        };
+    }
+
+    describe('simplifyRecord', () => {
+        it('picks the fields we track from a local record', () => {
+            expect(loggingService.simplifyRecord(localBook)).toEqual({
+                id: 'BIBSYS_ILS71512824540002201',
+                is_local: true,
+                adds_id: '991512824544702201',
+                source: 'ILS',
+                ddc: ['639.3'],
+                hume: ['Akvakultur'],
+                real: ['Fisker', 'Oppdrett'],
+                rsrctype: ['books'],
+                disptype: 'book',
+                title: 'Fiskeoppdrett',
+            });
+        });
+
+        it('handles records without subjects', () => {
+            let rec = loggingService.simplifyRecord(article);
+            expect(rec.is_local).toBe(false);
+            expect(rec.ddc).toEqual([]);
+            expect(rec.adds_id).toBeUndefined();
+        });
+    });
+
+    describe('trackSearch', () => {
+        beforeEach(() => changeState($rootScope, 'exploreMain.search', {query: 'any,contains,fisk'}));
+
+        it('tracks a search from a PNX search API call', () => {
+            loggingService.trackApiCall(searchCall());
+
+            let events = eventsOf(ctx.sink, 'search');
+            expect(events.length).toBe(1);
+            let data = events[0].data;
+            expect(data.query).toEqual([{op: null, field: 'any', prec: 'contains', term: 'fisk'}]);
+            expect(data.total).toBe(2);
+            expect(data.results).toEqual(['BIBSYS_ILS71512824540002201', 'TN_crossref10.1016/j.aquaculture.2017.01.001']);
+            expect(data.page_no).toBe(1);
+            expect(data.backend_time).toBe(120);
+            expect(data.aggs).toEqual({records: 2, is_local: 1, has_dewey: 1, has_humord: 1, has_rt: 1});
+        });
+
+        it('tracks facets and paging as refinements and page changes', () => {
+            loggingService.trackApiCall(searchCall({qInclude: 'facet_rtype,exact,books'}));
+            loggingService.trackApiCall(searchCall({offset: 10}));
+
+            expect(eventsOf(ctx.sink, 'refinement')[0].data.facets).toEqual([
+                {name: 'rtype', value: 'books', type: 'include'},
+            ]);
+            expect(eventsOf(ctx.sink, 'change_page')[0].data.page_no).toBe(2);
+        });
+
+        it('remembers the position of each result', () => {
+            loggingService.trackApiCall(searchCall());
+            let actionNo = eventsOf(ctx.sink, 'search')[0].action_no;
+            expect(loggingService.getResultPosition(article)).toEqual({
+                rank: 2,
+                page_no: 1,
+                search_action_no: actionNo,
+            });
+        });
+
+        it('lets the rest of the package know about the search', () => {
+            let listener = jest.fn();
+            $rootScope.$on('uioSearchLoaded', listener);
+            loggingService.trackApiCall(searchCall());
+            expect(listener.mock.calls[0][1]).toEqual(expect.objectContaining({
+                action: 'search',
+                query: 'any,contains,fisk',
+                total: 2,
+                page_no: 1,
+            }));
+        });
+
+        it('waits for the first state change', () => {
+            ctx.sink.clear();
+            loggingService.trail = [];
+            loggingService.trackApiCall(searchCall());
+            expect(ctx.sink.events).toEqual([]);
+
+            changeState($rootScope, 'exploreMain.search');
+            expect(eventsOf(ctx.sink, 'search').length).toBe(1);
+        });
+    });
+
+    describe('sessions', () => {
+        beforeEach(() => changeState($rootScope, 'exploreMain.search'));
+
+        it('starts a session with a session_start event', () => {
+            loggingService.trackHome();
+
+            expect(ctx.sink.events.map(event => event.action)).toEqual(['session_start', 'goto_home']);
+            let start = ctx.sink.events[0];
+            expect(start.data.reason).toBe('new');
+            expect(start.action_no).toBe(1);
+            expect(ctx.sink.events[1].action_no).toBe(2);
+            expect(ctx.sink.events[1].session_id).toBe(start.session_id);
+            expect(start.root_session_id).toBe(start.session_id);
+
+            let session = JSON.parse(window.sessionStorage.getItem('slurpSession'));
+            expect(session.lastActive).toBe(session.created);
+        });
+
+        it('ignores duplicate events', () => {
+            loggingService.trackHome();
+            loggingService.trackHome();
+            expect(eventsOf(ctx.sink, 'goto_home').length).toBe(1);
+        });
+
+        it('ends a session that has timed out', () => {
+            loggingService.trackHome();
+            let session = JSON.parse(window.sessionStorage.getItem('slurpSession'));
+            session.lastActive -= 31 * 60;
+            window.sessionStorage.setItem('slurpSession', JSON.stringify(session));
+
+            loggingService.trackEvent('test', {});
+
+            let end = eventsOf(ctx.sink, 'session_end')[0];
+            expect(end.session_id).toBe(session.id);
+            expect(end.data.reason).toBe('timeout');
+            let start = eventsOf(ctx.sink, 'session_start')[1];
+            expect(start.session_id).not.toBe(session.id);
+            expect(start.data.reason).toBe('timeout');
+            expect(eventsOf(ctx.sink, 'test')[0].session_id).toBe(start.session_id);
+        });
+
+        it('links a session to the parent session', () => {
+            loggingService.sessions.parent = {
+                sessionId: 'parent',
+                rootId: 'root',
+                eventId: 'event',
+                lastActive: 0,
+                via: 'opener',
+            };
+            loggingService.trackHome();
+
+            let start = eventsOf(ctx.sink, 'session_start')[0];
+            expect(start.data).toEqual({
+                reason: 'child',
+                parent_session_id: 'parent',
+                referrer_event_id: 'event',
+                via: 'opener',
+            });
+            expect(eventsOf(ctx.sink, 'goto_home')[0].root_session_id).toBe('root');
+            expect(eventsOf(ctx.sink, 'goto_home')[0].parent_session_id).toBe('parent');
+        });
+
+        it('ends the session when the kiosk is reset', () => {
+            loggingService.trackHome();
+            $rootScope.$broadcast('uioKioskReset', {reason: 'user', idle: 0});
+
+            expect(ctx.sink.events.map(event => event.action)).toEqual(['session_start', 'goto_home', 'kiosk_reset', 'session_end']);
+            expect(eventsOf(ctx.sink, 'session_end')[0].data.reason).toBe('kiosk_reset');
+            expect(window.sessionStorage.getItem('slurpSession')).toBeNull();
+        });
+
+        it('forgets everything when the user opts out', () => {
+            loggingService.trackHome();
+            loggingService.setOptOut(true);
+            loggingService.trackEvent('test', {});
+
+            expect(ctx.sink.events).toEqual([]);
+            expect(window.sessionStorage.getItem('slurpSession')).toBeNull();
+            expect(loggingService.getRecentEvents()).toEqual([]);
+        });
+
+        it('tags events with the user', () => {
+            primoService.connect({userSessionManagerService: fakeUserSessionManagerService('user', 'en_US')});
+            loggingService.trackHome();
+            let event = eventsOf(ctx.sink, 'goto_home')[0];
+            expect(event.logged_in).toBe(true);
+            expect(event.lang).toBe('en_US');
+        });
+    });
+});
@@ -0,0 +1,73 @@
+import { loadModule } from './helpers';
+
+const FEED = {
+    libraries: [
+        {id: 'ub', name: {no_NO: 'UB'}, hours: {mon: {opens: '08:00', closes: '20:00'}}, exceptions: {'2026-10-19': null}},
+    ],
+    notices: [
+        {id: 'n1', type: 'outage', text: {no_NO: 'Nedetid'}, start: '2026-10-19T08:00:00', end: '2026-10-19T10:00:00'},
+    ],
+};
+
+describe('openingHoursService', () => {
+
+    function inject(callback) {
+        return angular.mock.inject((openingHoursService, $httpBackend, $rootScope) => {
+            callback(openingHoursService, $httpBackend, $rootScope);
+        });
+    }
+
+    function load(openingHoursService, $rootScope) {
+        let feed;
+        openingHoursService.load().then(data => { feed = data; });
+        $rootScope.$digest();
+        return feed;
+    }
+
+    describe('without a feed', () => {
+        loadModule();
+
+        it('shows nothing', inject((openingHoursService, $httpBackend, $rootScope) => {
+            expect(load(openingHoursService, $rootScope)).toBeNull();
+        }));
+    });
+
+    describe('with a feed', () => {
+        loadModule({config: {openingHours: {url: 'https://example.org/hours.json'}}});
+
+        it('reads the feed', inject((openingHoursService, $httpBackend) => {
+            $httpBackend.expectGET('https://example.org/hours.json').respond(200, FEED);
+            let feed;
+            openingHoursService.load().then(data => { feed = data; });
+            $httpBackend.flush();
+
+            expect(feed.source).toBe('feed');
+            let monday = new Date(2026, 9, 12, 9, 0);
+            expect(openingHoursService.getHours(feed, monday)[0]).toEqual(expect.objectContaining({
+                hours: {opens: '08:00', closes: '20:00'},
+                isOpen: true,
+            }));
+            expect(openingHoursService.getHours(feed, new Date(2026, 9, 19, 9, 0))[0].hours).toBeNull();
+            expect(openingHoursService.getNotices(feed, new Date(2026, 9, 19, 9, 0)).length).toBe(1);
+            expect(openingHoursService.getNotices(feed, new Date(2026, 9, 19, 11, 0)).length).toBe(0);
+        }));
+
+        it('shows nothing if the feed fails', inject((openingHoursService, $httpBackend) => {
+            $httpBackend.expectGET('https://example.org/hours.json').respond(500);
+            let feed;
+            openingHoursService.load().then(data => { feed = data; });
+            $httpBackend.flush();
+            expect(feed).toBeNull();
+        }));
+    });
+
+    describe('with the fallback enabled', () => {
+        loadModule({config: {openingHours: {fallback: true}}});
+
+        it('uses the sample data', inject((openingHoursService, $httpBackend, $rootScope) => {
+            let feed = load(openingHoursService, $rootScope);
+            expect(feed.source).toBe('fallback');
+            expect(feed.libraries.length).toBeGreaterThan(0);
+        }));
+    });
+});
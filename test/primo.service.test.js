@@ -0,0 +1,57 @@
+import { loadModule, fakeSearchStateService } from './helpers';
+import { localBook } from './fixtures/pnx';
+
+describe('primoService', () => {
+    loadModule({version: '2.3.1'});
+    let primoService;
+
+    beforeEach(angular.mock.inject((_primoService_) => {
+        primoService = _primoService_;
+    }));
+
+    it('reads the Primo version from the appConfig', () => {
+        expect(primoService.getVersion()).toBe('2.3.1');
+    });
+
+    it('tries each known location in order', () => {
+        expect(primoService.getSearchBarScope({_selectedTab: 'local_uio', _selectedScope: 'local_scope'}))
+            .toEqual({tab: 'local_uio', scope: 'local_scope'});
+        expect(primoService.getSearchBarScope({selectedTab: 'everything', selectedScope: 'everything'}))
+            .toEqual({tab: 'everything', scope: 'everything'});
+        expect(primoService.getSearchBarScope({})).toEqual({tab: null, scope: null});
+    });
+
+    it('finds the searchStateService on prmSearchBar and prmSearchResultList', () => {
+        primoService.connect({searchStateService: fakeSearchStateService({query: 'any,contains,fisk'})});
+        expect(primoService.getSearch().search.query).toBe('any,contains,fisk');
+
+        primoService.connect({searchService: {searchStateService: fakeSearchStateService({query: 'any,contains,laks'})}});
+        expect(primoService.getSearch().search.query).toBe('any,contains,laks');
+    });
+
+    it('finds the record and its index', () => {
+        expect(primoService.getRecord({item: localBook, index: 3})).toBe(localBook);
+        expect(primoService.getResultIndex({item: localBook, index: 3})).toBe(3);
+    });
+
+    it('uses the strategy for the Primo version', () => {
+        let parentCtrl = {_placeHolderText: 'Primo 2', placeHolderText: 'Primo 1'};
+        expect(primoService.getStrategy().name).toBe('primo-2');
+        expect(primoService.getPlaceholder(parentCtrl)).toBe('Primo 2');
+
+        window.appConfig['system-configuration'].Primo_Version_Number = '1.12.3';
+        expect(primoService.getStrategy().name).toBe('primo-1');
+        expect(primoService.getPlaceholder(parentCtrl)).toBe('Primo 1');
+        primoService.setPlaceholder(parentCtrl, 'Søk');
+        expect(parentCtrl.placeHolderText).toBe('Søk');
+
+        window.appConfig['system-configuration'].Primo_Version_Number = '10.0';
+        expect(primoService.getStrategy().name).toBe('primo-2');
+    });
+
+    it('uses the newest strategy if the Primo version is unknown', () => {
+        delete window.appConfig['system-configuration'];
+        expect(primoService.getVersion()).toBe('unknown');
+        expect(primoService.getStrategy().name).toBe('primo-2');
+    });
+});
@@ -0,0 +1,51 @@
+import { loadModule, changeState, eventsOf } from './helpers';
+
+const API = '/primo_library/libweb/webservices/rest/primo-explore/v1/pnxs';
+
+describe('primoApiInterceptor', () => {
+    let ctx = loadModule();
+    let $http, $httpBackend, $rootScope;
+
+    beforeEach(angular.mock.inject((_$http_, _$httpBackend_, _$rootScope_) => {
+        $http = _$http_;
+        $httpBackend = _$httpBackend_;
+        $rootScope = _$rootScope_;
+        changeState($rootScope, 'exploreMain.search');
+    }));
+
+    afterEach(() => {
+        $httpBackend.verifyNoOutstandingExpectation();
+    });
+
+    it('tracks a search from the API call', () => {
+        $httpBackend.expectGET(API + '?q=any,contains,fisk&offset=0&limit=10').respond(200, {
+            info: {first: 1, last: 0, total: 0},
+            docs: [],
+        });
+        $http.get(API + '?q=any,contains,fisk', {params: {offset: 0, limit: 10}});
+        $httpBackend.flush();
+
+        let events = eventsOf(ctx.sink, 'search');
+        expect(events.length).toBe(1);
+        expect(events[0].data.total).toBe(0);
+    });
+
+    it('leaves other calls alone', () => {
+        $httpBackend.expectGET('/primo_library/libweb/webservices/rest/v1/configuration/UIO').respond(200, {});
+        $http.get('/primo_library/libweb/webservices/rest/v1/configuration/UIO');
+        $httpBackend.flush();
+        expect(ctx.sink.events).toEqual([]);
+    });
+
+    it('never fails the request when the URL is malformed', () => {
+        let success = jest.fn(), failure = jest.fn();
+        $httpBackend.expectGET(API + '?q=any,contains,50%off').respond(200, {docs: []});
+        $http.get(API + '?q=any,contains,50%off').then(success);
+        $httpBackend.expectGET(API + '?q=any,contains,50%off').respond(500, '');
+        $http.get(API + '?q=any,contains,50%off').catch(failure);
+        $httpBackend.flush();
+
+        expect(success).toHaveBeenCalledWith(expect.objectContaining({status: 200}));
+        expect(failure).toHaveBeenCalledWith(expect.objectContaining({status: 500}));
+    });
+});
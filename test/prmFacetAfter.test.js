@@ -0,0 +1,94 @@
+import { loadModule, changeState, eventsOf } from './helpers';
+
+describe('prmFacetAfter', () => {
+    let ctx = loadModule();
+    let ctrl, parent;
+
+    beforeEach(angular.mock.inject(($rootScope) => {
+        changeState($rootScope, 'exploreMain.search');
+        ctrl = ctx.create('prmFacetAfter', {});
+        parent = ctx.parent(ctrl);
+        parent.insertAdjacentHTML('beforeend', `
+            <prm-breadcrumbs>
+                <div class="md-chip facet-element-marker-local14">
+                    <span dir="auto">Fisk</span>
+                    <button aria-label="Remove"></button>
+                </div>
+            </prm-breadcrumbs>
+            <prm-facet-group>
+                <h3 class="section-title"><span translate="facets.facet.facet_rtype">Resource type</span></h3>
+                <div class="md-chip facet-element-marker-rtype"><span dir="auto">Books</span></div>
+            </prm-facet-group>
+            <prm-facet-group>
+                <button class="section-title" aria-expanded="false">
+                    <span translate="facets.facet.local14">Subject (Humord)</span>
+                </button>
+                <div class="md-chip facet-element-marker-local14">
+                    <span dir="auto">Oppdrett</span><span class="facet-counter">1 234</span>
+                </div>
+                <div class="md-chip facet-element-marker-local14">
+                    <span dir="auto">Fisk</span><span class="facet-counter">56</span>
+                    <button class="facet-exclude"></button>
+                </div>
+                <button class="more-facets-button">Show more</button>
+            </prm-facet-group>
+        `);
+        ctrl.$postLink();
+    }));
+
+    afterEach(() => ctrl.$onDestroy());
+
+    function data(action) {
+        return eventsOf(ctx.sink, action).map(event => event.data);
+    }
+
+    it('tracks a facet value with its subject vocabulary', () => {
+        parent.querySelectorAll('prm-facet-group')[1].querySelector('.md-chip').click();
+        expect(data('facet_select')).toEqual([{
+            group: 'local14',
+            vocabulary: 'humord',
+            value: 'Oppdrett',
+            type: 'include',
+            count: 1234,
+            position: 1,
+            group_position: 2,
+        }]);
+    });
+
+    it('tracks excluding a value', () => {
+        parent.querySelector('prm-facet-group .facet-exclude').click();
+        expect(data('facet_select')[0]).toEqual(expect.objectContaining({
+            group: 'local14',
+            value: 'Fisk',
+            type: 'exclude',
+            position: 2,
+        }));
+    });
+
+    it('has no vocabulary for other facets', () => {
+        parent.querySelector('prm-facet-group .md-chip').click();
+        expect(data('facet_select')[0]).toEqual(expect.objectContaining({
+            group: 'rtype',
+            vocabulary: null,
+            value: 'Books',
+        }));
+    });
+
+    it('tracks expanding a group and showing more values', () => {
+        parent.querySelector('button.section-title').click();
+        parent.querySelector('.more-facets-button').click();
+        expect(data('facet_group_toggle')).toEqual([
+            {group: 'local14', vocabulary: 'humord', expanded: true, group_position: 2},
+        ]);
+        expect(data('facet_show_more')).toEqual([
+            {group: 'local14', vocabulary: 'humord', shown: 2},
+        ]);
+    });
+
+    it('tracks removing an active filter', () => {
+        parent.querySelector('prm-breadcrumbs button').click();
+        expect(data('facet_remove')).toEqual([
+            {group: 'local14', vocabulary: 'humord', value: 'Fisk', type: null},
+        ]);
+    });
+});
@@ -0,0 +1,81 @@
+import { loadModule, changeState, eventsOf } from './helpers';
+
+describe('prmNoSearchResultAfter', () => {
+    let ctx = loadModule();
+
+    beforeEach(angular.mock.inject(($rootScope) => {
+        changeState($rootScope, 'exploreMain.search');
+        ctx.$state.href = (name, params) => params;
+    }));
+
+    function create(params) {
+        ctx.$state.params = Object.assign({vid: 'UIO', lang: 'no_NO', tab: 'local_uio', search_scope: 'local_scope'}, params);
+        let ctrl = ctx.create('prmNoSearchResultAfter', {});
+        ctrl.$onInit();
+        return ctrl;
+    }
+
+    function option(ctrl, id) {
+        return ctrl.options.filter(x => x.id == id)[0];
+    }
+
+    it('offers the other scopes', () => {
+        let ctrl = create({query: 'any,contains,fisk', tab: 'everything', search_scope: 'everything'});
+        expect(ctrl.options.map(x => x.id)).toEqual(['bibsys']);
+        expect(option(ctrl, 'bibsys').href).toEqual(expect.objectContaining({
+            query: 'any,contains,fisk',
+            tab: 'bibsys_consortia',
+            search_scope: 'bibsys_ils',
+            offset: 0,
+        }));
+    });
+
+    it('drops facets, filters and facet_ query parts', () => {
+        let ctrl = create({
+            query: 'any,contains,fisk,AND;facet_rtype,exact,books',
+            pfilter: 'pfilter,exact,books,AND',
+            facet: 'local14,include,Fisk',
+        });
+        expect(option(ctrl, 'drop_facets').href).toEqual(expect.objectContaining({
+            query: 'any,contains,fisk,AND',
+            pfilter: undefined,
+            facet: undefined,
+        }));
+        expect(option(create({query: 'any,contains,fisk'}), 'drop_facets')).toBeUndefined();
+    });
+
+    it('searches in any field', () => {
+        let ctrl = create({query: 'title,exact,fisk,AND;facet_rtype,exact,books'});
+        expect(option(ctrl, 'any_field').href.query).toBe('any,contains,fisk,AND;facet_rtype,exact,books');
+        expect(option(create({query: 'any,contains,fisk'}), 'any_field')).toBeUndefined();
+    });
+
+    it('removes quotes', () => {
+        let ctrl = create({query: 'any,contains,«fisk» "og" “laks”'});
+        expect(option(ctrl, 'remove_quotes').href.query).toBe('any,contains,fisk og laks');
+        expect(option(create({query: 'any,contains,fisk'}), 'remove_quotes')).toBeUndefined();
+    });
+
+    it('normalizes spelling, keeping å', () => {
+        let ctrl = create({query: 'any,contains,Fiskeoppdrett: Ålesund, Café'});
+        let normalize = option(ctrl, 'normalize_spelling');
+        expect(normalize.href.query).toBe('any,contains,Fiskeoppdrett Ålesund Cafe');
+        expect(normalize.label).toBe('Søk etter «Fiskeoppdrett Ålesund Cafe»');
+        expect(option(create({query: 'any,contains,fisk'}), 'normalize_spelling')).toBeUndefined();
+    });
+
+    it('keeps the Sámi letters when normalizing spelling in Sámi', () => {
+        let ctrl = create({lang: 'se_NO', query: 'any,contains,Čáhci, šattut'});
+        expect(option(ctrl, 'normalize_spelling').href.query).toBe('any,contains,Čáhci šattut');
+        expect(option(create({lang: 'se_NO', query: 'any,contains,čáhci'}), 'normalize_spelling')).toBeUndefined();
+    });
+
+    it('tracks the chosen option', () => {
+        let ctrl = create({query: 'title,exact,fisk'});
+        ctrl.choose(option(ctrl, 'any_field'));
+        expect(eventsOf(ctx.sink, 'no_results_recovery')[0].data).toEqual({
+            option: 'any_field',
+            offered: ['everything', 'bibsys', 'any_field'],
+        });
+    });
+});
@@ -0,0 +1,135 @@
+import {
+    parseQuery,
+    serializeQuery,
+    queryTerms,
+    queryFacets,
+    parsePfilter,
+    serializePfilter,
+    parseFacets,
+    serializeFacets,
+    parseApiFacets,
+    parseSearchParams,
+    serializeSearchParams,
+} from '../js/query';
+
+describe('query', () => {
+
+    describe('parseQuery / serializeQuery', () => {
+        const roundTrip = value => serializeQuery(parseQuery(value));
+
+        it('handles an empty query', () => {
+            expect(parseQuery('').parts).toEqual([]);
+            expect(parseQuery(undefined).parts).toEqual([]);
+            expect(roundTrip('')).toBe('');
+            expect(roundTrip([])).toEqual([]);
+        });
+
+        it('round-trips a simple search', () => {
+            expect(parseQuery('any,contains,fisk').parts).toEqual([
+                {field: 'any', precision: 'contains', term: 'fisk', operator: null},
+            ]);
+            expect(roundTrip('any,contains,fisk')).toBe('any,contains,fisk');
+        });
+
+        it('round-trips an advanced search with commas in the terms', () => {
+            let query = 'title,contains,fisker,krabber,OR;creator,contains,tor,NOT;any,exact,laks,AND';
+            expect(parseQuery(query).parts.map(part => part.term)).toEqual(['fisker,krabber', 'tor', 'laks']);
+            expect(roundTrip(query)).toBe(query);
+        });
+
+        it('keeps semicolons in the terms', () => {
+            let query = 'any,contains,fisk; krabbe;laks,AND;title,exact,a;b';
+            expect(parseQuery(query).parts.map(part => part.term)).toEqual(['fisk; krabbe;laks', 'a;b']);
+            expect(roundTrip(query)).toBe(query);
+        });
+
+        it('returns an array if given an array', () => {
+            expect(roundTrip(['any,contains,fisk'])).toEqual(['any,contains,fisk']);
+            expect(roundTrip(['any,contains,fisk,AND', 'title,exact,laks'])).toEqual(['any,contains,fisk,AND', 'title,exact,laks']);
+        });
+
+        it('round-trips and separates the facet_ parts', () => {
+            let query = 'any,contains,fisk,AND;facet_rtype,exact,books,AND;facet_lang,exact,nor,AND';
+            let ast = parseQuery(query);
+            expect(roundTrip(query)).toBe(query);
+            expect(queryTerms(ast)).toEqual([{op: null, field: 'any', prec: 'contains', term: 'fisk'}]);
+            expect(queryFacets(ast)).toEqual([
+                {field: 'facet_rtype', prec: 'exact', term: 'books'},
+                {field: 'facet_lang', prec: 'exact', term: 'nor'},
+            ]);
+        });
+
+        it('moves the operators to the next term', () => {
+            let terms = queryTerms(parseQuery('title,contains,fisk,OR;creator,contains,tor,NOT;any,exact,laks,AND'));
+            expect(terms.map(term => term.op)).toEqual([null, 'OR', 'NOT']);
+        });
+    });
+
+    describe('parsePfilter / serializePfilter', () => {
+        const roundTrip = value => serializePfilter(parsePfilter(value));
+
+        it('round-trips a string', () => {
+            expect(parsePfilter('pfilter,exact,books,AND').parts).toEqual([
+                {field: 'pfilter', precision: 'exact', term: 'books', operator: 'AND'},
+            ]);
+            expect(roundTrip('pfilter,exact,books,AND')).toBe('pfilter,exact,books,AND');
+        });
+
+        it('round-trips an array', () => {
+            let pfilter = ['lang,exact,nor,AND', 'pfilter,exact,books,AND', 'creationdate,exact,1-YEAR,AND'];
+            expect(roundTrip(pfilter)).toEqual(pfilter);
+            expect(roundTrip(['pfilter,exact,books,AND'])).toEqual(['pfilter,exact,books,AND']);
+        });
+    });
+
+    describe('parseFacets / serializeFacets', () => {
+        const roundTrip = value => serializeFacets(parseFacets(value));
+
+        it('round-trips a string', () => {
+            expect(parseFacets('local4,include,NB').facets).toEqual([
+                {name: 'local4', type: 'include', value: 'NB'},
+            ]);
+            expect(roundTrip('local4,include,NB')).toBe('local4,include,NB');
+        });
+
+        it('round-trips an array, with commas in the values', () => {
+            let facets = ['local4,include,NB', 'local10,include,641.5', 'local14,exclude,Fisk, oppdrett'];
+            expect(parseFacets(facets).facets[2].value).toBe('Fisk, oppdrett');
+            expect(roundTrip(facets)).toEqual(facets);
+            expect(roundTrip(['local4,include,NB'])).toEqual(['local4,include,NB']);
+        });
+    });
+
+    describe('parseApiFacets', () => {
+        it('parses the facets of a PNX search API call', () => {
+            expect(parseApiFacets({
+                qInclude: 'facet_rtype,exact,books|,|facet_lang,exact,nor',
+                qExclude: 'facet_rtype,exact,reviews',
+                multiFacets: 'facet_rtype,include,books|,|facet_rtype,exclude,articles',
+            })).toEqual([
+                {name: 'rtype', type: 'include', value: 'books'},
+                {name: 'lang', type: 'include', value: 'nor'},
+                {name: 'rtype', type: 'exclude', value: 'reviews'},
+                {name: 'rtype', type: 'include', value: 'books'},
+                {name: 'rtype', type: 'exclude', value: 'articles'},
+            ]);
+        });
+    });
+
+    describe('parseSearchParams / serializeSearchParams', () => {
+        it('round-trips the search parameters', () => {
+            let params = {
+                query: 'any,contains,fisk',
+                pfilter: ['pfilter,exact,books,AND'],
+                facet: 'local4,include,NB',
+            };
+            expect(serializeSearchParams(parseSearchParams(params))).toEqual(params);
+        });
+
+        it('leaves out empty pfilter and facet', () => {
+            expect(serializeSearchParams(parseSearchParams({query: 'any,contains,fisk'}))).toEqual({
+                query: 'any,contains,fisk',
+            });
+        });
+    });
+});
@@ -0,0 +1,94 @@
+import { loadModule } from './helpers';
+
+describe('searchHistoryService', () => {
+    loadModule({config: {history: {maxEntries: 3}}});
+    let searchHistoryService;
+
+    beforeEach(angular.mock.inject((_searchHistoryService_) => {
+        searchHistoryService = _searchHistoryService_;
+    }));
+
+    function entry(query, extra) {
+        return Object.assign({
+            id: 'x',
+            text: query,
+            query: `any,contains,${query}`,
+            facet: null,
+            pfilter: null,
+            mode: null,
+            tab: 'everything',
+            scope: 'everything',
+            facets: [],
+            total: 10,
+            time: 1500000000,
+            pinned: false,
+        }, extra);
+    }
+
+    function exported(entries) {
+        return JSON.stringify({version: 1, exported: 1500000000, entries: entries});
+    }
+
+    it('round-trips an export', () => {
+        searchHistoryService.add({query: 'any,contains,fisk', search_scope: 'everything', facet: 'local4,include,NB'});
+        let json = searchHistoryService.exportJson();
+        searchHistoryService.clear();
+
+        expect(searchHistoryService.importJson(json)).toBe(1);
+        let entries = searchHistoryService.getEntries();
+        expect(entries.length).toBe(1);
+        expect(entries[0]).toEqual(expect.objectContaining({
+            text: 'fisk',
+            query: 'any,contains,fisk',
+            scope: 'everything',
+            facet: 'local4,include,NB',
+            facets: ['NB'],
+        }));
+    });
+
+    it('rejects files that are not exports', () => {
+        expect(() => searchHistoryService.importJson('{"entries": []}')).toThrow();
+        expect(() => searchHistoryService.importJson('not json')).toThrow();
+    });
+
+    it('skips entries with invalid fields', () => {
+        let count = searchHistoryService.importJson(exported([
+            entry('ok'),
+            entry('facets', {facets: 'NB'}),
+            entry('facets2', {facets: [1]}),
+            entry('time', {time: '1500000000'}),
+            entry('total', {total: 'many'}),
+            entry('facet', {facet: {name: 'local4'}}),
+            entry('pinned', {pinned: 'yes'}),
+            entry('text', {text: ''}),
+            null,
+        ]));
+        expect(count).toBe(1);
+        expect(searchHistoryService.getEntries().map(x => x.text)).toEqual(['ok']);
+    });
+
+    it('only keeps the known fields', () => {
+        searchHistoryService.importJson(exported([entry('fisk', {extra: '<script>'})]));
+        let imported = searchHistoryService.getEntries()[0];
+        expect(imported.extra).toBeUndefined();
+        expect(imported.id).not.toBe('x');
+    });
+
+    it('counts only the entries actually added', () => {
+        searchHistoryService.add({query: 'any,contains,fisk', search_scope: 'everything'});
+        let count = searchHistoryService.importJson(exported([
+            entry('fisk'),
+            entry('laks'),
+            entry('laks'),
+        ]));
+        expect(count).toBe(1);
+        expect(searchHistoryService.getEntries().length).toBe(2);
+    });
+
+    it('does not count entries dropped because the history is full', () => {
+        ['a', 'b', 'c'].forEach(q => searchHistoryService.add({query: `any,contains,${q}`}));
+        let count = searchHistoryService.importJson(exported([entry('old'), entry('pinned', {pinned: true})]));
+        expect(count).toBe(1);
+        expect(searchHistoryService.getEntries().map(x => x.text)).toEqual(['c', 'b', 'a', 'pinned']);
+    });
+});
@@ -0,0 +1,14 @@
+/**
+ * Test setup: Angular and angular-mocks as globals, like in Primo.
+ *
+ * angular-mocks only defines `angular.mock.module` and `angular.mock.inject`
+ * when it finds Jasmine or Mocha, so we pretend to be Mocha. Jest provides the
+ * `beforeEach` and `afterEach` hooks it needs.
+ */
+
+require('angular');
+window.mocha = true;
+require('angular-mocks');
+
+// Loaded by Primo, required by our module
+angular.module('angularLoad', []);
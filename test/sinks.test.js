@@ -0,0 +1,60 @@
+import { SlurpSink, JsonLinesHttpSink } from '../js/sinks';
+import { CapturedXhr } from './helpers';
+
+describe('sinks', () => {
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        window.sessionStorage.clear();
+        window.XMLHttpRequest = CapturedXhr;
+        CapturedXhr.requests = [];
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('posts batches to the Slurp server as a JSON array', () => {
+        let sink = new SlurpSink(window, 'https://example.org/slurp/');
+        sink.send({action: 'search'});
+        sink.send({action: 'view_record'});
+        jest.runOnlyPendingTimers();
+
+        expect(CapturedXhr.requests.length).toBe(1);
+        let req = CapturedXhr.requests[0];
+        expect(req.method).toBe('POST');
+        expect(req.url).toBe('https://example.org/slurp/');
+        expect(JSON.parse(req.body)).toEqual([{action: 'search'}, {action: 'view_record'}]);
+
+        req.respond(200);
+        expect(sink.queue.size()).toBe(0);
+    });
+
+    it('keeps and retries events if the server fails', () => {
+        let sink = new SlurpSink(window, 'https://example.org/slurp/');
+        sink.send({action: 'search'});
+        jest.runOnlyPendingTimers();
+        CapturedXhr.requests[0].respond(503);
+        expect(sink.queue.size()).toBe(1);
+
+        jest.runOnlyPendingTimers();
+        expect(CapturedXhr.requests.length).toBe(2);
+        expect(JSON.parse(CapturedXhr.requests[1].body)).toEqual([{action: 'search'}]);
+    });
+
+    it('posts JSON lines', () => {
+        let sink = new JsonLinesHttpSink(window, 'https://example.org/collect');
+        sink.send({action: 'search'});
+        sink.send({action: 'browse'});
+        jest.runOnlyPendingTimers();
+
+        expect(CapturedXhr.requests[0].body).toBe('{"action":"search"}\n{"action":"browse"}\n');
+    });
+
+    it('respects the actions and exclude options', () => {
+        let sink = new SlurpSink(window, 'https://example.org/slurp/', {actions: ['search', 'error'], exclude: ['error']});
+        expect(sink.accepts('search')).toBe(true);
+        expect(sink.accepts('error')).toBe(false);
+        expect(sink.accepts('browse')).toBe(false);
+    });
+});
@@ -0,0 +1,86 @@
+import { loadModule, CapturedXhr } from './helpers';
+
+describe('suggestionsService', () => {
+    loadModule({config: {suggestions: {url: 'https://example.org/suggest?q={query}&lang={lang}'}}});
+    let suggestionsService, $rootScope, $http;
+
+    beforeEach(angular.mock.inject((_suggestionsService_, _$rootScope_, _$http_) => {
+        suggestionsService = _suggestionsService_;
+        $rootScope = _$rootScope_;
+        $http = _$http_;
+    }));
+
+    function get(text) {
+        let result = null;
+        suggestionsService.getSuggestions(text, 'en_US').then(suggestions => {
+            result = suggestions;
+        });
+        $rootScope.$digest();
+        return {
+            requests: CapturedXhr.requests,
+            result: () => {
+                $rootScope.$digest();
+                return result;
+            },
+        };
+    }
+
+    it('gets subjects and endpoint suggestions without $http', () => {
+        jest.spyOn($http, 'get');
+        let call = get('fisk');
+
+        expect($http.get).not.toHaveBeenCalled();
+        expect(call.requests.map(req => [req.method, req.url])).toEqual([
+            ['GET', 'https://data.ub.uio.no/skosmos/rest/v1/realfagstermer/search?query=fisk*&lang=en&maxhits=5'],
+            ['GET', 'https://data.ub.uio.no/skosmos/rest/v1/humord/search?query=fisk*&lang=en&maxhits=5'],
+            ['GET', 'https://example.org/suggest?q=fisk&lang=en_US'],
+        ]);
+
+        call.requests[0].respond(200, {results: [{prefLabel: 'Fisker'}]});
+        call.requests[1].respond(200, {results: [{prefLabel: 'Fiskeoppdrett'}, {prefLabel: 'Fisker'}]});
+        call.requests[2].respond(200, {suggestions: ['fisk og skalldyr', 'fiskeoppdrett']});
+
+        expect(call.result()).toEqual([
+            {text: 'Fisker', source: 'subject'},
+            {text: 'Fiskeoppdrett', source: 'subject'},
+            {text: 'fisk og skalldyr', source: 'endpoint'},
+        ]);
+    });
+
+    it('ignores a failing source', () => {
+        let call = get('fisk');
+        call.requests[0].respond(500);
+        call.requests[1].onerror();
+        call.requests[2].respond(200, ['fiskesuppe']);
+
+        expect(call.result()).toEqual([{text: 'fiskesuppe', source: 'endpoint'}]);
+    });
+});
+
+describe('uioSearchSuggestions', () => {
+    loadModule();
+    let ctrl, input, suggestionsService, $timeout;
+
+    beforeEach(angular.mock.inject(($componentController, $rootScope, _$timeout_, _suggestionsService_) => {
+        $timeout = _$timeout_;
+        suggestionsService = _suggestionsService_;
+        jest.spyOn(suggestionsService, 'getSuggestions');
+
+        let form = angular.element('<div><input type="text"></div>')[0];
+        input = form.firstChild;
+        ctrl = $componentController('uioSearchSuggestions', {$scope: $rootScope.$new()}, {input: input, lang: 'en_US'});
+        ctrl.$onChanges({lang: {currentValue: 'en_US'}, input: {currentValue: input}});
+    }));
+
+    it('does not fetch suggestions after the input is detached', () => {
+        input.value = 'fisk';
+        input.dispatchEvent(new Event('input'));
+
+        ctrl.input = null;
+        ctrl.$onChanges({input: {currentValue: null, previousValue: input}});
+        $timeout.verifyNoPendingTasks();
+
+        ctrl.update();
+        expect(suggestionsService.getSuggestions).not.toHaveBeenCalled();
+    });
+});